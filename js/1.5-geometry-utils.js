@@ -248,3 +248,37 @@ function createEllipsoid(radiusX = 0.5, radiusY = 0.5, radiusZ = 0.5, widthSegme
 function createSphere(radius = 0.5, widthSegments = 16, heightSegments = 12) {
     return createEllipsoid(radius, radius, radius, widthSegments, heightSegments);
 }
+
+
+/**
+ * Creates a box geometry (e.g. box shapes imported from URDF)
+ */
+function createBox(width = 1, height = 1, depth = 1) {
+    return new THREE.BoxGeometry(width, height, depth);
+}
+
+
+/**
+ * Creates a geometry from a named primitive (used by rig definitions)
+ * @param {string} primitive - 'cylinder', 'ellipticalCylinder', 'ellipsoid', 'sphere' or 'box'
+ * @param {Object} dimensions - Radii/height matching the primitive's parameters
+ * @param {Array} detail - [radial/width segments, height segments]
+ * @returns {THREE.BufferGeometry}
+ */
+function createPrimitiveGeometry(primitive, dimensions = {}, detail = []) {
+    const d = dimensions;
+    switch (primitive) {
+        case 'cylinder':
+            return createCylinder(d.radiusTop, d.radiusBottom, d.height, detail[0], detail[1]);
+        case 'ellipticalCylinder':
+            return createEllipticalCylinder(d.radiusX, d.radiusZ, d.height, detail[0], detail[1]);
+        case 'ellipsoid':
+            return createEllipsoid(d.radiusX, d.radiusY, d.radiusZ, detail[0], detail[1]);
+        case 'sphere':
+            return createSphere(d.radius, detail[0], detail[1]);
+        case 'box':
+            return createBox(d.width, d.height, d.depth);
+        default:
+            throw new Error(`Unknown geometry primitive "${primitive}"`);
+    }
+}
@@ -0,0 +1,418 @@
+// ==========================================
+// DECLARATIVE RIG DEFINITIONS
+// ==========================================
+
+/*
+ * A rig definition describes a robot as plain (JSON-compatible) data:
+ *
+ *   materials   - named material presets { color, roughness, metalness }
+ *   constraints - named rotation limits { min, max } in radians
+ *   joints      - ordered list of joints; a parent must appear before its children
+ *
+ * Each joint entry:
+ *   name        - unique name, also exposed as a property on HumanoidRobot
+ *   parent      - name of the parent joint (omit to attach to robot.root)
+ *   offset      - [x, y, z] position relative to the parent
+ *   rotation    - optional [x, y, z] rest rotation in radians
+ *   constraints - optional { x, y, z } map of axis -> constraint name
+ *   bodyPart    - mask group the joint belongs to ('legs', 'arms', 'hands', 'spine', 'head')
+ *   userData    - optional data copied onto the joint group
+ *   segments    - meshes attached to the joint, each with:
+ *                   primitive  - 'cylinder' | 'ellipticalCylinder' | 'ellipsoid' | 'sphere' | 'box'
+ *                   dimensions - primitive parameters (see createPrimitiveGeometry)
+ *                   detail     - [radial/width segments, height segments]
+ *                   material   - material preset name, color, or inline material
+ *                   offset / rotation - placement relative to the joint
+ *                   name       - optional, exposes the mesh as a robot property
+ *
+ * Children are added in list order after the joint's own segments.
+ */
+
+// ==========================================
+// FINGERS
+// ==========================================
+
+/*
+ * Hands hang with the palm facing backward (-Z) and the thumb on the side
+ * towards the body. Positions and spread are given for the left hand and
+ * mirrored for the right. Positive X rotation curls a finger into the palm;
+ * Z rotation at the base joint spreads it.
+ */
+const FINGER_LAYOUT = [
+    { name: 'thumb', joint: 'Thumb', position: [0.045, -0.035, 0], lengths: [0.032, 0.026], radius: 0.011, spread: 0.8 },
+    { name: 'index', joint: 'Index', position: [0.033, -0.088, 0], lengths: [0.034, 0.022, 0.018], radius: 0.009, spread: 0.15 },
+    { name: 'middle', joint: 'Middle', position: [0.011, -0.092, 0], lengths: [0.037, 0.024, 0.019], radius: 0.009, spread: 0.05 },
+    { name: 'ring', joint: 'Ring', position: [-0.011, -0.09, 0], lengths: [0.034, 0.022, 0.018], radius: 0.009, spread: -0.05 },
+    { name: 'pinky', joint: 'Pinky', position: [-0.033, -0.084, 0], lengths: [0.027, 0.018, 0.015], radius: 0.008, spread: -0.15 }
+];
+
+/**
+ * Finger chains of one hand, stored in the hand's userData.fingers
+ * @param {string} side - 'left' or 'right'
+ * @returns {Array} - [{ name, joints: [base → tip joint names], spread: radians at full spread }]
+ */
+function createFingerChains(side) {
+    const mirror = side === 'left' ? 1 : -1;
+    return FINGER_LAYOUT.map(finger => ({
+        name: finger.name,
+        joints: finger.lengths.map((length, i) => `${side}${finger.joint}${i + 1}`),
+        spread: finger.spread * mirror
+    }));
+}
+
+/**
+ * Joint entries for the fingers and thumb of one hand (base → tip)
+ * @param {string} side - 'left' or 'right'
+ * @returns {Array} - Rig joint entries, parented to "<side>Hand"
+ */
+function createFingerJoints(side) {
+    const mirror = side === 'left' ? 1 : -1;
+    const joints = [];
+    FINGER_LAYOUT.forEach(finger => {
+        finger.lengths.forEach((length, i) => {
+            const isBase = i === 0;
+            const baseConstraints = finger.name === 'thumb'
+                ? { x: 'thumbX', z: side + 'ThumbZ' }
+                : { x: 'fingerBaseX', z: 'fingerBaseZ' };
+            const radius = finger.radius * (1 - i * 0.1);
+            joints.push({
+                name: `${side}${finger.joint}${i + 1}`,
+                parent: isBase ? side + 'Hand' : `${side}${finger.joint}${i}`,
+                bodyPart: 'hands',
+                offset: isBase
+                    ? [finger.position[0] * mirror, finger.position[1], finger.position[2]]
+                    : [0, -finger.lengths[i - 1], 0],
+                constraints: isBase ? baseConstraints : { x: 'fingerX' },
+                segments: [
+                    { primitive: 'cylinder', dimensions: { radiusTop: radius, radiusBottom: radius * 0.9, height: length }, detail: [8, 1], material: 'joint', offset: [0, -length / 2, 0] }
+                ]
+            });
+        });
+    });
+    return joints;
+}
+
+/*
+ * Named hand poses for HumanoidRobot.setHandPose: curl per finger
+ * (0 straight, 1 fully curled) and spread (0 closed, 1 fanned out)
+ */
+const HAND_POSES = {
+    open: { thumb: 0, index: 0, middle: 0, ring: 0, pinky: 0, spread: 1 },
+    curl: { thumb: 0.4, index: 0.5, middle: 0.55, ring: 0.6, pinky: 0.65, spread: 0.3 },
+    grip: { thumb: 0.8, index: 1, middle: 1, ring: 1, pinky: 1, spread: 0.3 },
+    point: { thumb: 0.8, index: 0, middle: 1, ring: 1, pinky: 1, spread: 0.2 }
+};
+
+const DEFAULT_HUMANOID_RIG = {
+    name: 'Humanoid',
+
+    materials: {
+        body: { color: 0x4a8cd9 },
+        trim: { color: 0x4a90e2 },
+        shell: { color: 0x5da3f5 },
+        limb: { color: 0x6ba8f2 },
+        upperArm: { color: 0x7cb5f7 },
+        joint: { color: 0x3d7ac7 },
+        foot: { color: 0x2a5a8f },
+        eye: { color: 0xffffff },
+        pupil: { color: 0x000000 }
+    },
+
+    constraints: {
+        hipX: { min: -1.0, max: 1.0 },      // Forward/backward swing
+        hipY: { min: -0.3, max: 0.3 },      // Left/right rotation
+        hipZ: { min: -0.3, max: 0.3 },      // Tilt
+        kneeX: { min: 0, max: 2.5 },        // Bend (only forward)
+        ankleX: { min: -0.5, max: 0.8 },    // Toe up/down
+        ankleZ: { min: -0.3, max: 0.3 },    // Ankle tilt
+        shoulderX: { min: -2.8, max: 2.8 }, // Arm forward/back
+        shoulderY: { min: -1.0, max: 1.0 }, // Arm rotation
+        shoulderZ: { min: -1.5, max: 1.5 }, // Arm up/down
+        elbowX: { min: -2.8, max: 0 },      // Bend (only forward, negative X)
+        neckX: { min: -0.5, max: 0.5 },     // Head up/down
+        neckY: { min: -1.2, max: 1.2 },     // Head left/right
+        pelvisX: { min: -0.3, max: 0.3 },   // Pelvic tilt
+        pelvisY: { min: -0.4, max: 0.4 },   // Pelvis twist
+        pelvisZ: { min: -0.2, max: 0.2 },   // Hip drop
+        waistX: { min: -0.3, max: 0.8 },    // Bend (positive leans forward)
+        waistY: { min: -0.5, max: 0.5 },    // Twist
+        waistZ: { min: -0.3, max: 0.3 },    // Side lean
+        chestX: { min: -0.2, max: 0.4 },    // Bend
+        chestY: { min: -0.4, max: 0.4 },    // Twist
+        chestZ: { min: -0.2, max: 0.2 },    // Side lean
+        fingerBaseX: { min: -0.2, max: 1.5 },  // Knuckle curl
+        fingerBaseZ: { min: -0.3, max: 0.3 },  // Finger spread
+        fingerX: { min: 0, max: 1.7 },         // Middle/tip curl (only towards the palm)
+        thumbX: { min: -0.2, max: 1.2 },       // Thumb fold across the palm
+        leftThumbZ: { min: 0, max: 1.2 },      // Thumb spread (towards +X on the left hand)
+        rightThumbZ: { min: -1.2, max: 0 }     // Thumb spread (towards -X on the right hand)
+    },
+
+    joints: [
+        // Spine: pelvis → waist → chest; legs hang off the pelvis, arms and neck off the chest
+        {
+            name: 'pelvis',
+            bodyPart: 'spine',
+            offset: [0, 1.15, 0],
+            constraints: { x: 'pelvisX', y: 'pelvisY', z: 'pelvisZ' },
+            segments: [
+                { primitive: 'ellipsoid', dimensions: { radiusX: 0.25, radiusY: 0.13, radiusZ: 0.18 }, detail: [24, 16], material: 'body', offset: [0, 0.06, 0] }
+            ]
+        },
+        {
+            name: 'waist',
+            parent: 'pelvis',
+            bodyPart: 'spine',
+            offset: [0, 0.15, 0],
+            constraints: { x: 'waistX', y: 'waistY', z: 'waistZ' },
+            segments: [
+                { primitive: 'ellipsoid', dimensions: { radiusX: 0.21, radiusY: 0.16, radiusZ: 0.15 }, detail: [24, 16], material: 'trim', offset: [0, 0.12, 0] }
+            ]
+        },
+        {
+            name: 'chest',
+            parent: 'waist',
+            bodyPart: 'spine',
+            offset: [0, 0.3, 0],
+            constraints: { x: 'chestX', y: 'chestY', z: 'chestZ' },
+            segments: [
+                { name: 'torso', primitive: 'ellipsoid', dimensions: { radiusX: 0.28, radiusY: 0.3, radiusZ: 0.2 }, detail: [24, 20], material: 'body', offset: [0, 0.15, 0] }
+            ]
+        },
+
+        // Head & neck
+        {
+            name: 'neck',
+            parent: 'chest',
+            bodyPart: 'head',
+            offset: [0, 0.5, 0],
+            constraints: { x: 'neckX', y: 'neckY' },
+            segments: [
+                { primitive: 'ellipticalCylinder', dimensions: { radiusX: 0.08, radiusZ: 0.07, height: 0.15 }, detail: [16, 2], material: 'trim', offset: [0, 0.075, 0] },
+                { name: 'head', primitive: 'ellipsoid', dimensions: { radiusX: 0.18, radiusY: 0.22, radiusZ: 0.16 }, detail: [24, 20], material: 'shell', offset: [0, 0.32, 0] },
+                { primitive: 'sphere', dimensions: { radius: 0.03 }, detail: [12, 10], material: 'eye', offset: [-0.08, 0.35, 0.14] },
+                { primitive: 'sphere', dimensions: { radius: 0.03 }, detail: [12, 10], material: 'eye', offset: [0.08, 0.35, 0.14] },
+                { primitive: 'sphere', dimensions: { radius: 0.015 }, detail: [8, 6], material: 'pupil', offset: [-0.08, 0.35, 0.17] },
+                { primitive: 'sphere', dimensions: { radius: 0.015 }, detail: [8, 6], material: 'pupil', offset: [0.08, 0.35, 0.17] }
+            ]
+        },
+
+        // Left leg
+        {
+            name: 'leftHip',
+            parent: 'pelvis',
+            bodyPart: 'legs',
+            offset: [-0.14, 0, 0],
+            segments: [
+                { name: 'leftHipJoint', primitive: 'sphere', dimensions: { radius: 0.09 }, detail: [16, 12], material: 'joint' }
+            ]
+        },
+        {
+            name: 'leftUpperLeg',
+            parent: 'leftHip',
+            bodyPart: 'legs',
+            offset: [0, 0, 0],
+            constraints: { x: 'hipX', y: 'hipY', z: 'hipZ' },
+            segments: [
+                { primitive: 'ellipticalCylinder', dimensions: { radiusX: 0.09, radiusZ: 0.07, height: 0.5 }, detail: [20, 4], material: 'shell', offset: [0, -0.25, 0] }
+            ]
+        },
+        {
+            name: 'leftKnee',
+            parent: 'leftUpperLeg',
+            bodyPart: 'legs',
+            offset: [0, -0.5, 0],
+            constraints: { x: 'kneeX' },
+            segments: [
+                { name: 'leftKneeJoint', primitive: 'ellipsoid', dimensions: { radiusX: 0.08, radiusY: 0.08, radiusZ: 0.09 }, detail: [16, 12], material: 'joint' }
+            ]
+        },
+        {
+            name: 'leftLowerLeg',
+            parent: 'leftKnee',
+            bodyPart: 'legs',
+            offset: [0, 0, 0],
+            segments: [
+                { primitive: 'ellipticalCylinder', dimensions: { radiusX: 0.07, radiusZ: 0.06, height: 0.5 }, detail: [20, 4], material: 'limb', offset: [0, -0.25, 0] }
+            ]
+        },
+        {
+            name: 'leftAnkle',
+            parent: 'leftLowerLeg',
+            bodyPart: 'legs',
+            offset: [0, -0.5, 0],
+            constraints: { x: 'ankleX', z: 'ankleZ' },
+            segments: [
+                { name: 'leftAnkleJoint', primitive: 'sphere', dimensions: { radius: 0.06 }, detail: [12, 10], material: 'joint' }
+            ]
+        },
+        {
+            name: 'leftFoot',
+            parent: 'leftAnkle',
+            bodyPart: 'legs',
+            offset: [0, 0, 0],
+            segments: [
+                { primitive: 'ellipticalCylinder', dimensions: { radiusX: 0.08, radiusZ: 0.06, height: 0.22 }, detail: [16, 2], material: 'foot', offset: [0, -0.04, 0.06], rotation: [Math.PI / 2, 0, 0] }
+            ]
+        },
+
+        // Right leg (mirror of left)
+        {
+            name: 'rightHip',
+            parent: 'pelvis',
+            bodyPart: 'legs',
+            offset: [0.14, 0, 0],
+            segments: [
+                { name: 'rightHipJoint', primitive: 'sphere', dimensions: { radius: 0.09 }, detail: [16, 12], material: 'joint' }
+            ]
+        },
+        {
+            name: 'rightUpperLeg',
+            parent: 'rightHip',
+            bodyPart: 'legs',
+            offset: [0, 0, 0],
+            constraints: { x: 'hipX', y: 'hipY', z: 'hipZ' },
+            segments: [
+                { primitive: 'ellipticalCylinder', dimensions: { radiusX: 0.09, radiusZ: 0.07, height: 0.5 }, detail: [20, 4], material: 'shell', offset: [0, -0.25, 0] }
+            ]
+        },
+        {
+            name: 'rightKnee',
+            parent: 'rightUpperLeg',
+            bodyPart: 'legs',
+            offset: [0, -0.5, 0],
+            constraints: { x: 'kneeX' },
+            segments: [
+                { name: 'rightKneeJoint', primitive: 'ellipsoid', dimensions: { radiusX: 0.08, radiusY: 0.08, radiusZ: 0.09 }, detail: [16, 12], material: 'joint' }
+            ]
+        },
+        {
+            name: 'rightLowerLeg',
+            parent: 'rightKnee',
+            bodyPart: 'legs',
+            offset: [0, 0, 0],
+            segments: [
+                { primitive: 'ellipticalCylinder', dimensions: { radiusX: 0.07, radiusZ: 0.06, height: 0.5 }, detail: [20, 4], material: 'limb', offset: [0, -0.25, 0] }
+            ]
+        },
+        {
+            name: 'rightAnkle',
+            parent: 'rightLowerLeg',
+            bodyPart: 'legs',
+            offset: [0, -0.5, 0],
+            constraints: { x: 'ankleX', z: 'ankleZ' },
+            segments: [
+                { name: 'rightAnkleJoint', primitive: 'sphere', dimensions: { radius: 0.06 }, detail: [12, 10], material: 'joint' }
+            ]
+        },
+        {
+            name: 'rightFoot',
+            parent: 'rightAnkle',
+            bodyPart: 'legs',
+            offset: [0, 0, 0],
+            segments: [
+                { primitive: 'ellipticalCylinder', dimensions: { radiusX: 0.08, radiusZ: 0.06, height: 0.22 }, detail: [16, 2], material: 'foot', offset: [0, -0.04, 0.06], rotation: [Math.PI / 2, 0, 0] }
+            ]
+        },
+
+        // Left arm
+        {
+            name: 'leftShoulder',
+            parent: 'chest',
+            bodyPart: 'arms',
+            offset: [-0.32, 0.2, 0],
+            segments: [
+                { primitive: 'sphere', dimensions: { radius: 0.07 }, detail: [12, 10], material: 'joint' }
+            ]
+        },
+        {
+            name: 'leftUpperArm',
+            parent: 'leftShoulder',
+            bodyPart: 'arms',
+            offset: [0, 0, 0],
+            constraints: { x: 'shoulderX', z: 'shoulderZ' },
+            segments: [
+                { primitive: 'cylinder', dimensions: { radiusTop: 0.06, radiusBottom: 0.05, height: 0.4 }, detail: [16, 2], material: 'upperArm', offset: [0, -0.2, 0] }
+            ]
+        },
+        {
+            name: 'leftLowerArm',
+            parent: 'leftUpperArm',
+            bodyPart: 'arms',
+            offset: [0, -0.4, 0],
+            constraints: { x: 'elbowX' },
+            segments: [
+                { primitive: 'sphere', dimensions: { radius: 0.055 }, detail: [12, 10], material: 'joint' },
+                { primitive: 'cylinder', dimensions: { radiusTop: 0.05, radiusBottom: 0.04, height: 0.38 }, detail: [16, 2], material: 'limb', offset: [0, -0.19, 0] }
+            ]
+        },
+        {
+            name: 'leftHand',
+            parent: 'leftLowerArm',
+            bodyPart: 'arms',
+            offset: [0, -0.38, 0],
+            userData: { fingers: createFingerChains('left') },
+            segments: [
+                { primitive: 'ellipsoid', dimensions: { radiusX: 0.05, radiusY: 0.05, radiusZ: 0.03 }, detail: [16, 12], material: 'trim', offset: [0, -0.045, 0] }
+            ]
+        },
+        ...createFingerJoints('left'),
+
+        // Right arm
+        {
+            name: 'rightShoulder',
+            parent: 'chest',
+            bodyPart: 'arms',
+            offset: [0.32, 0.2, 0],
+            segments: [
+                { primitive: 'sphere', dimensions: { radius: 0.07 }, detail: [12, 10], material: 'joint' }
+            ]
+        },
+        {
+            name: 'rightUpperArm',
+            parent: 'rightShoulder',
+            bodyPart: 'arms',
+            offset: [0, 0, 0],
+            constraints: { x: 'shoulderX', z: 'shoulderZ' },
+            segments: [
+                { primitive: 'cylinder', dimensions: { radiusTop: 0.06, radiusBottom: 0.05, height: 0.4 }, detail: [16, 2], material: 'upperArm', offset: [0, -0.2, 0] }
+            ]
+        },
+        {
+            name: 'rightLowerArm',
+            parent: 'rightUpperArm',
+            bodyPart: 'arms',
+            offset: [0, -0.4, 0],
+            constraints: { x: 'elbowX' },
+            segments: [
+                { primitive: 'sphere', dimensions: { radius: 0.055 }, detail: [12, 10], material: 'joint' },
+                { primitive: 'cylinder', dimensions: { radiusTop: 0.05, radiusBottom: 0.04, height: 0.38 }, detail: [16, 2], material: 'limb', offset: [0, -0.19, 0] }
+            ]
+        },
+        {
+            name: 'rightHand',
+            parent: 'rightLowerArm',
+            bodyPart: 'arms',
+            offset: [0, -0.38, 0],
+            userData: { fingers: createFingerChains('right') },
+            segments: [
+                { primitive: 'ellipsoid', dimensions: { radiusX: 0.05, radiusY: 0.05, radiusZ: 0.03 }, detail: [16, 12], material: 'trim', offset: [0, -0.045, 0] }
+            ]
+        },
+        ...createFingerJoints('right')
+    ]
+};
+
+/**
+ * Loads a rig definition from a JSON file
+ * @param {string} url - Path to the JSON rig description
+ * @returns {Promise<Object>} - Parsed rig definition
+ */
+function loadRigDefinition(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load rig definition "${url}" (${response.status})`);
+        }
+        return response.json();
+    });
+}
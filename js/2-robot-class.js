@@ -3,62 +3,26 @@
 // ==========================================
 
 class HumanoidRobot {
-    constructor() {
+    /**
+     * @param {Object} rig - Rig definition (see 1.8-rig-definition.js)
+     */
+    constructor(rig = DEFAULT_HUMANOID_RIG) {
         this.root = new THREE.Group();
+        this.rig = rig;
 
-        // Body parts
-        this.head = null;
-        this.neck = null;
-        this.torso = null;
-
-        // Left leg components
-        this.leftHip = null;
-        this.leftHipJoint = null;
-        this.leftUpperLeg = null;
-        this.leftKnee = null;
-        this.leftKneeJoint = null;
-        this.leftLowerLeg = null;
-        this.leftAnkle = null;
-        this.leftAnkleJoint = null;
-        this.leftFoot = null;
-
-        // Right leg components
-        this.rightHip = null;
-        this.rightHipJoint = null;
-        this.rightUpperLeg = null;
-        this.rightKnee = null;
-        this.rightKneeJoint = null;
-        this.rightLowerLeg = null;
-        this.rightAnkle = null;
-        this.rightAnkleJoint = null;
-        this.rightFoot = null;
-
-        // Arm placeholders (for future expansion)
-        this.leftShoulder = null;
-        this.leftUpperArm = null;
-        this.leftLowerArm = null;
-        this.leftHand = null;
-
-        this.rightShoulder = null;
-        this.rightUpperArm = null;
-        this.rightLowerArm = null;
-        this.rightHand = null;
-
-        // Joint constraints
-        this.jointConstraints = {
-            hipX: { min: -1.0, max: 1.0 },      // Forward/backward swing
-            hipY: { min: -0.3, max: 0.3 },      // Left/right rotation
-            hipZ: { min: -0.3, max: 0.3 },      // Tilt
-            kneeX: { min: 0, max: 2.5 },        // Bend (only forward)
-            ankleX: { min: -0.5, max: 0.8 },    // Toe up/down
-            ankleZ: { min: -0.3, max: 0.3 },    // Ankle tilt
-            shoulderX: { min: -2.8, max: 2.8 }, // Arm forward/back
-            shoulderY: { min: -1.0, max: 1.0 }, // Arm rotation
-            shoulderZ: { min: -1.5, max: 1.5 }, // Arm up/down
-            elbowX: { min: 0, max: 2.8 },       // Bend (only forward)
-            neckX: { min: -0.5, max: 0.5 },     // Head up/down
-            neckY: { min: -1.2, max: 1.2 }      // Head left/right
-        };
+        // Persistent world transform accumulated from root motion. Animations
+        // pose this.root locally; the animation manager moves the base.
+        this.base = new THREE.Group();
+        this.base.add(this.root);
+
+        // Joint groups by name, plus the axis -> constraint name map of each joint.
+        // Every named joint and segment is also exposed as a property
+        // (this.neck, this.leftKnee, this.rightAnkle, this.torso, ...)
+        this.joints = {};
+        this.constraintMap = {};
+
+        // Joint constraints (copied so variants can be tuned per instance)
+        this.jointConstraints = JSON.parse(JSON.stringify(rig.constraints || {}));
 
         this.buildRobot();
     }
@@ -66,14 +30,16 @@ class HumanoidRobot {
     // ==========================================
     // UTILITY: CREATE MESH FROM GEOMETRY
     // ==========================================
-    createMesh(geometry, color) {
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
+    createMesh(geometry, material) {
+        // Accepts a plain color or material parameters { color, roughness, metalness }
+        const params = (material !== null && typeof material === 'object') ? material : { color: material };
+        const mat = new THREE.MeshStandardMaterial({
             roughness: 0.5,
             metalness: 0.5,
-            flatShading: false
+            flatShading: false,
+            ...params
         });
-        const mesh = new THREE.Mesh(geometry, material);
+        const mesh = new THREE.Mesh(geometry, mat);
         mesh.castShadow = true;
         mesh.receiveShadow = true;
         return mesh;
@@ -95,393 +61,334 @@ class HumanoidRobot {
     }
 
     // ==========================================
-    // BUILD HEAD & NECK
+    // BUILD A SEGMENT MESH FROM ITS RIG DESCRIPTION
     // ==========================================
-    buildHead() {
-        // Neck - small elliptical cylinder
-        this.neck = new THREE.Group();
-        this.neck.position.y = 2.1;
-
-        const neckGeometry = createEllipticalCylinder(0.08, 0.07, 0.15, 16, 2);
-        const neckMesh = this.createMesh(neckGeometry, 0x4a90e2);
-        neckMesh.position.y = 0.075;
-        this.neck.add(neckMesh);
-
-        // Head - ellipsoid
-        const headGeometry = createEllipsoid(0.18, 0.22, 0.16, 24, 20);
-        this.head = this.createMesh(headGeometry, 0x5da3f5);
-        this.head.position.y = 0.32;
-        this.neck.add(this.head);
-
-        // Eyes - small spheres
-        const eyeGeometry = createSphere(0.03, 12, 10);
-
-        const leftEye = this.createMesh(eyeGeometry, 0xffffff);
-        leftEye.position.set(-0.08, 0.35, 0.14);
-        this.neck.add(leftEye);
-
-        const rightEye = this.createMesh(eyeGeometry, 0xffffff);
-        rightEye.position.set(0.08, 0.35, 0.14);
-        this.neck.add(rightEye);
-
-        // Pupils
-        const pupilGeometry = createSphere(0.015, 8, 6);
-        const leftPupil = this.createMesh(pupilGeometry, 0x000000);
-        leftPupil.position.set(-0.08, 0.35, 0.17);
-        this.neck.add(leftPupil);
-
-        const rightPupil = this.createMesh(pupilGeometry, 0x000000);
-        rightPupil.position.set(0.08, 0.35, 0.17);
-        this.neck.add(rightPupil);
-
-        return this.neck;
+    buildSegment(segment) {
+        const geometry = createPrimitiveGeometry(segment.primitive, segment.dimensions, segment.detail);
+
+        // Material may be a preset name from rig.materials, a color, or inline parameters
+        const presets = this.rig.materials || {};
+        const material = (typeof segment.material === 'string' && presets[segment.material])
+            ? presets[segment.material]
+            : segment.material;
+
+        const mesh = this.createMesh(geometry, material);
+        if (segment.offset) mesh.position.fromArray(segment.offset);
+        if (segment.rotation) mesh.rotation.fromArray(segment.rotation);
+        if (segment.name) this.exposePart(segment.name, mesh);
+
+        return mesh;
     }
 
     // ==========================================
-    // BUILD TORSO
+    // EXPOSE A NAMED PART AS A ROBOT PROPERTY
     // ==========================================
-    buildTorso() {
-        const torsoGroup = new THREE.Group();
 
-        // Main torso - ellipsoid
-        const torsoGeometry = createEllipsoid(0.28, 0.45, 0.2, 24, 20);
-        this.torso = this.createMesh(torsoGeometry, 0x4a8cd9);
-        this.torso.position.y = 1.6;
-        torsoGroup.add(this.torso);
+    /**
+     * Whether a rig part name clashes with a robot property or method
+     * (e.g. 'base', 'root', 'joints'), so exposePart would reject it
+     */
+    static isReservedPartName(name) {
+        // Properties set by the constructor, then methods (including Object's)
+        const fields = ['root', 'rig', 'base', 'joints', 'constraintMap', 'jointConstraints'];
+        return fields.includes(name) || name in HumanoidRobot.prototype;
+    }
 
-        return torsoGroup;
+    exposePart(name, object) {
+        if (this[name] !== undefined) {
+            throw new Error(`HumanoidRobot: rig part name "${name}" is already in use`);
+        }
+        object.name = name;
+        this[name] = object;
     }
 
     // ==========================================
-    // BUILD LEFT LEG
+    // ASSEMBLE COMPLETE ROBOT FROM THE RIG
     // ==========================================
-    buildLeftLeg() {
-        // Hip joint group
-        this.leftHip = new THREE.Group();
-        this.leftHip.position.set(-0.14, 1.15, 0);
-
-        // Hip joint sphere
-        const hipJointGeometry = createSphere(0.09, 16, 12);
-        this.leftHipJoint = this.createMesh(hipJointGeometry, 0x3d7ac7);
-        this.leftHip.add(this.leftHipJoint);
-
-        // Upper leg group (rotation point at hip)
-        this.leftUpperLeg = new THREE.Group();
-
-        // Upper leg - elliptical cylinder (slightly tapered)
-        const upperLegGeometry = createEllipticalCylinder(0.09, 0.07, 0.5, 20, 4);
-        const upperLegMesh = this.createMesh(upperLegGeometry, 0x5da3f5);
-        upperLegMesh.position.y = -0.25;
-        this.leftUpperLeg.add(upperLegMesh);
-
-        // Knee group
-        this.leftKnee = new THREE.Group();
-        this.leftKnee.position.y = -0.5;
-
-        // Knee joint - ellipsoid
-        const kneeJointGeometry = createEllipsoid(0.08, 0.08, 0.09, 16, 12);
-        this.leftKneeJoint = this.createMesh(kneeJointGeometry, 0x3d7ac7);
-        this.leftKnee.add(this.leftKneeJoint);
-
-        // Lower leg - elliptical cylinder (tapered)
-        this.leftLowerLeg = new THREE.Group();
-        const lowerLegGeometry = createEllipticalCylinder(0.07, 0.06, 0.5, 20, 4);
-        const lowerLegMesh = this.createMesh(lowerLegGeometry, 0x6ba8f2);
-        lowerLegMesh.position.y = -0.25;
-        this.leftLowerLeg.add(lowerLegMesh);
-
-        // Ankle group
-        this.leftAnkle = new THREE.Group();
-        this.leftAnkle.position.y = -0.5;
-
-        // Ankle joint - small sphere
-        const ankleJointGeometry = createSphere(0.06, 12, 10);
-        this.leftAnkleJoint = this.createMesh(ankleJointGeometry, 0x3d7ac7);
-        this.leftAnkle.add(this.leftAnkleJoint);
-
-        // Foot - elliptical cylinder (horizontal)
-        this.leftFoot = new THREE.Group();
-        const footGeometry = createEllipticalCylinder(0.08, 0.06, 0.22, 16, 2);
-        const footMesh = this.createMesh(footGeometry, 0x2a5a8f);
-        footMesh.rotation.x = Math.PI / 2;
-        footMesh.position.z = 0.06;
-        footMesh.position.y = -0.04;
-        this.leftFoot.add(footMesh);
-
-        // Build hierarchy
-        this.leftAnkle.add(this.leftFoot);
-        this.leftLowerLeg.add(this.leftAnkle);
-        this.leftKnee.add(this.leftLowerLeg);
-        this.leftUpperLeg.add(this.leftKnee);
-        this.leftHip.add(this.leftUpperLeg);
-
-        return this.leftHip;
+    buildRobot() {
+        (this.rig.joints || []).forEach(def => {
+            const joint = new THREE.Group();
+            if (def.offset) joint.position.fromArray(def.offset);
+            if (def.rotation) joint.rotation.fromArray(def.rotation);
+            if (def.userData) Object.assign(joint.userData, JSON.parse(JSON.stringify(def.userData)));
+
+            // Segments first so child joints follow them in the hierarchy
+            (def.segments || []).forEach(segment => joint.add(this.buildSegment(segment)));
+
+            const parent = def.parent ? this.joints[def.parent] : this.root;
+            if (!parent) {
+                throw new Error(`HumanoidRobot: joint "${def.name}" has unknown parent "${def.parent}"`);
+            }
+            parent.add(joint);
+
+            this.exposePart(def.name, joint);
+            this.joints[def.name] = joint;
+            if (def.constraints) this.constraintMap[def.name] = def.constraints;
+        });
+
+        this.root.position.y = 0;
     }
 
     // ==========================================
-    // BUILD RIGHT LEG (mirror of left)
+    // RESET TO NEUTRAL POSE
     // ==========================================
-    buildRightLeg() {
-        // Hip joint group
-        this.rightHip = new THREE.Group();
-        this.rightHip.position.set(0.14, 1.15, 0);
-
-        // Hip joint sphere
-        const hipJointGeometry = createSphere(0.09, 16, 12);
-        this.rightHipJoint = this.createMesh(hipJointGeometry, 0x3d7ac7);
-        this.rightHip.add(this.rightHipJoint);
-
-        // Upper leg group
-        this.rightUpperLeg = new THREE.Group();
-
-        // Upper leg - elliptical cylinder
-        const upperLegGeometry = createEllipticalCylinder(0.09, 0.07, 0.5, 20, 4);
-        const upperLegMesh = this.createMesh(upperLegGeometry, 0x5da3f5);
-        upperLegMesh.position.y = -0.25;
-        this.rightUpperLeg.add(upperLegMesh);
-
-        // Knee group
-        this.rightKnee = new THREE.Group();
-        this.rightKnee.position.y = -0.5;
-
-        // Knee joint - ellipsoid
-        const kneeJointGeometry = createEllipsoid(0.08, 0.08, 0.09, 16, 12);
-        this.rightKneeJoint = this.createMesh(kneeJointGeometry, 0x3d7ac7);
-        this.rightKnee.add(this.rightKneeJoint);
-
-        // Lower leg - elliptical cylinder
-        this.rightLowerLeg = new THREE.Group();
-        const lowerLegGeometry = createEllipticalCylinder(0.07, 0.06, 0.5, 20, 4);
-        const lowerLegMesh = this.createMesh(lowerLegGeometry, 0x6ba8f2);
-        lowerLegMesh.position.y = -0.25;
-        this.rightLowerLeg.add(lowerLegMesh);
-
-        // Ankle group
-        this.rightAnkle = new THREE.Group();
-        this.rightAnkle.position.y = -0.5;
-
-        // Ankle joint - small sphere
-        const ankleJointGeometry = createSphere(0.06, 12, 10);
-        this.rightAnkleJoint = this.createMesh(ankleJointGeometry, 0x3d7ac7);
-        this.rightAnkle.add(this.rightAnkleJoint);
-
-        // Foot - elliptical cylinder (horizontal)
-        this.rightFoot = new THREE.Group();
-        const footGeometry = createEllipticalCylinder(0.08, 0.06, 0.22, 16, 2);
-        const footMesh = this.createMesh(footGeometry, 0x2a5a8f);
-        footMesh.rotation.x = Math.PI / 2;
-        footMesh.position.z = 0.06;
-        footMesh.position.y = -0.04;
-        this.rightFoot.add(footMesh);
-
-        // Build hierarchy
-        this.rightAnkle.add(this.rightFoot);
-        this.rightLowerLeg.add(this.rightAnkle);
-        this.rightKnee.add(this.rightLowerLeg);
-        this.rightUpperLeg.add(this.rightKnee);
-        this.rightHip.add(this.rightUpperLeg);
-
-        return this.rightHip;
+    resetPose() {
+        // Reset every joint to its rest rotation from the rig
+        (this.rig.joints || []).forEach(def => {
+            const joint = this.joints[def.name];
+            if (!joint) return;
+            if (def.rotation) joint.rotation.fromArray(def.rotation);
+            else joint.rotation.set(0, 0, 0);
+        });
+
+        // Reset root
+        this.root.position.set(0, 0, 0);
+        this.root.rotation.set(0, 0, 0);
     }
 
     // ==========================================
-    // BUILD ARM PLACEHOLDERS (Simple versions)
+    // ROOT MOTION
     // ==========================================
-    buildLeftArm() {
-        this.leftShoulder = new THREE.Group();
-        this.leftShoulder.position.set(-0.32, 1.8, 0);
-
-        this.leftUpperArm = new THREE.Group();
-
-        // Shoulder joint
-        const shoulderJointGeom = createSphere(0.07, 12, 10);
-        const shoulderJoint = this.createMesh(shoulderJointGeom, 0x3d7ac7);
-        this.leftShoulder.add(shoulderJoint);
-
-        // Upper arm - cylinder
-        const upperArmGeom = createCylinder(0.06, 0.05, 0.4, 16, 2);
-        const upperArmMesh = this.createMesh(upperArmGeom, 0x7cb5f7);
-        upperArmMesh.position.y = -0.2;
-        this.leftUpperArm.add(upperArmMesh);
-
-        // Lower arm group
-        this.leftLowerArm = new THREE.Group();
-        this.leftLowerArm.position.y = -0.4;
-
-        // Elbow joint
-        const elbowJointGeom = createSphere(0.055, 12, 10);
-        const elbowJoint = this.createMesh(elbowJointGeom, 0x3d7ac7);
-        this.leftLowerArm.add(elbowJoint);
-
-        // Lower arm - cylinder
-        const lowerArmGeom = createCylinder(0.05, 0.04, 0.38, 16, 2);
-        const lowerArmMesh = this.createMesh(lowerArmGeom, 0x6ba8f2);
-        lowerArmMesh.position.y = -0.19;
-        this.leftLowerArm.add(lowerArmMesh);
-
-        // Simple hand - ellipsoid
-        this.leftHand = new THREE.Group();
-        this.leftHand.position.y = -0.38;
-        const handGeom = createEllipsoid(0.05, 0.08, 0.035, 16, 12);
-        const handMesh = this.createMesh(handGeom, 0x4a90e2);
-        handMesh.position.y = -0.06;
-        this.leftHand.add(handMesh);
-
-        // For animation compatibility, add fingers userData
-        this.leftHand.userData.fingers = [];
-
-        // Build hierarchy
-        this.leftLowerArm.add(this.leftHand);
-        this.leftUpperArm.add(this.leftLowerArm);
-        this.leftShoulder.add(this.leftUpperArm);
-
-        return this.leftShoulder;
+
+    /**
+     * Integrates a root-motion delta into the persistent base transform
+     * @param {Object} motion - { displacement: THREE.Vector3 in the robot's heading frame,
+     *                            heading: yaw change in radians }
+     */
+    applyRootMotion(motion) {
+        if (motion.heading) this.base.rotation.y += motion.heading;
+        if (motion.displacement) {
+            const step = motion.displacement.clone().applyQuaternion(this.base.quaternion);
+            this.base.position.add(step);
+        }
     }
 
-    buildRightArm() {
-        this.rightShoulder = new THREE.Group();
-        this.rightShoulder.position.set(0.32, 1.8, 0);
-
-        this.rightUpperArm = new THREE.Group();
-
-        // Shoulder joint
-        const shoulderJointGeom = createSphere(0.07, 12, 10);
-        const shoulderJoint = this.createMesh(shoulderJointGeom, 0x3d7ac7);
-        this.rightShoulder.add(shoulderJoint);
-
-        // Upper arm
-        const upperArmGeom = createCylinder(0.06, 0.05, 0.4, 16, 2);
-        const upperArmMesh = this.createMesh(upperArmGeom, 0x7cb5f7);
-        upperArmMesh.position.y = -0.2;
-        this.rightUpperArm.add(upperArmMesh);
-
-        // Lower arm group
-        this.rightLowerArm = new THREE.Group();
-        this.rightLowerArm.position.y = -0.4;
-
-        // Elbow joint
-        const elbowJointGeom = createSphere(0.055, 12, 10);
-        const elbowJoint = this.createMesh(elbowJointGeom, 0x3d7ac7);
-        this.rightLowerArm.add(elbowJoint);
-
-        // Lower arm
-        const lowerArmGeom = createCylinder(0.05, 0.04, 0.38, 16, 2);
-        const lowerArmMesh = this.createMesh(lowerArmGeom, 0x6ba8f2);
-        lowerArmMesh.position.y = -0.19;
-        this.rightLowerArm.add(lowerArmMesh);
-
-        // Simple hand
-        this.rightHand = new THREE.Group();
-        this.rightHand.position.y = -0.38;
-        const handGeom = createEllipsoid(0.05, 0.08, 0.035, 16, 12);
-        const handMesh = this.createMesh(handGeom, 0x4a90e2);
-        handMesh.position.y = -0.06;
-        this.rightHand.add(handMesh);
-
-        // For animation compatibility
-        this.rightHand.userData.fingers = [];
-
-        // Build hierarchy
-        this.rightLowerArm.add(this.rightHand);
-        this.rightUpperArm.add(this.rightLowerArm);
-        this.rightShoulder.add(this.rightUpperArm);
-
-        return this.rightShoulder;
+    // ==========================================
+    // REST POSITION OF A JOINT (ROOT SPACE)
+    // ==========================================
+    getRestPosition(name) {
+        const defs = {};
+        (this.rig.joints || []).forEach(def => { defs[def.name] = def; });
+        if (!defs[name]) {
+            throw new Error(`HumanoidRobot: joint "${name}" is not in the rig`);
+        }
+
+        // Compose rig offsets/rest rotations from the joint up to the root
+        const position = new THREE.Vector3();
+        const local = new THREE.Matrix4();
+        const scale = new THREE.Vector3(1, 1, 1);
+        for (let def = defs[name]; def; def = def.parent ? defs[def.parent] : null) {
+            local.compose(
+                new THREE.Vector3().fromArray(def.offset || [0, 0, 0]),
+                new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(def.rotation || [0, 0, 0])),
+                scale
+            );
+            position.applyMatrix4(local);
+        }
+        return position;
     }
 
     // ==========================================
-    // ASSEMBLE COMPLETE ROBOT
+    // BODY-PART MASKS
     // ==========================================
-    buildRobot() {
-        const torso = this.buildTorso();
-        const head = this.buildHead();
-        const leftLeg = this.buildLeftLeg();
-        const rightLeg = this.buildRightLeg();
-        const leftArm = this.buildLeftArm();
-        const rightArm = this.buildRightArm();
-
-        this.root.add(torso);
-        this.root.add(head);
-        this.root.add(leftLeg);
-        this.root.add(rightLeg);
-        this.root.add(leftArm);
-        this.root.add(rightArm);
 
-        this.root.position.y = 0;
+    /**
+     * Resolves a mask to joint names
+     * @param {Array|string} mask - Body parts ('legs', 'arms', 'hands', 'spine', 'head') and/or joint names
+     * @returns {Array} - Joint names covered by the mask
+     */
+    getMaskJoints(mask) {
+        const entries = Array.isArray(mask) ? mask : [mask];
+        const names = new Set();
+        entries.forEach(entry => {
+            if (this.joints[entry]) names.add(entry);
+            (this.rig.joints || []).forEach(def => {
+                if (def.bodyPart === entry) names.add(def.name);
+            });
+        });
+        return Array.from(names);
     }
 
     // ==========================================
-    // RESET TO NEUTRAL POSE
+    // POSE SNAPSHOTS
     // ==========================================
-    resetPose() {
-        // Reset neck/head
-        if (this.neck) this.neck.rotation.set(0, 0, 0);
-
-        // Reset left leg
-        if (this.leftHip) this.leftHip.rotation.set(0, 0, 0);
-        if (this.leftUpperLeg) this.leftUpperLeg.rotation.set(0, 0, 0);
-        if (this.leftKnee) this.leftKnee.rotation.set(0, 0, 0);
-        if (this.leftLowerLeg) this.leftLowerLeg.rotation.set(0, 0, 0);
-        if (this.leftAnkle) this.leftAnkle.rotation.set(0, 0, 0);
-        if (this.leftFoot) this.leftFoot.rotation.set(0, 0, 0);
-
-        // Reset right leg
-        if (this.rightHip) this.rightHip.rotation.set(0, 0, 0);
-        if (this.rightUpperLeg) this.rightUpperLeg.rotation.set(0, 0, 0);
-        if (this.rightKnee) this.rightKnee.rotation.set(0, 0, 0);
-        if (this.rightLowerLeg) this.rightLowerLeg.rotation.set(0, 0, 0);
-        if (this.rightAnkle) this.rightAnkle.rotation.set(0, 0, 0);
-        if (this.rightFoot) this.rightFoot.rotation.set(0, 0, 0);
-
-        // Reset arms
-        if (this.leftShoulder) this.leftShoulder.rotation.set(0, 0, 0);
-        if (this.leftUpperArm) this.leftUpperArm.rotation.set(0, 0, 0);
-        if (this.leftLowerArm) this.leftLowerArm.rotation.set(0, 0, 0);
-
-        if (this.rightShoulder) this.rightShoulder.rotation.set(0, 0, 0);
-        if (this.rightUpperArm) this.rightUpperArm.rotation.set(0, 0, 0);
-        if (this.rightLowerArm) this.rightLowerArm.rotation.set(0, 0, 0);
 
-        // Reset root
-        this.root.position.set(0, 0, 0);
-        this.root.rotation.set(0, 0, 0);
+    /**
+     * Captures the current joint state as a serializable pose
+     * @returns {Object} - { root: { position, quaternion }, joints: { name: quaternion } }
+     *                     with vectors/quaternions stored as plain arrays
+     */
+    getPose() {
+        const joints = {};
+        Object.keys(this.joints).forEach(name => {
+            joints[name] = this.joints[name].quaternion.toArray();
+        });
+
+        return {
+            root: {
+                position: this.root.position.toArray(),
+                quaternion: this.root.quaternion.toArray()
+            },
+            joints: joints
+        };
+    }
+
+    /**
+     * Applies a pose captured by getPose(). Joints missing from the pose keep
+     * their current rotation, so partial poses can be layered.
+     * @param {Object} pose - Pose object
+     */
+    setPose(pose) {
+        if (pose.root) {
+            if (pose.root.position) this.root.position.fromArray(pose.root.position);
+            if (pose.root.quaternion) this.root.quaternion.fromArray(pose.root.quaternion);
+        }
+
+        Object.keys(pose.joints || {}).forEach(name => {
+            const joint = this.joints[name];
+            if (joint) joint.quaternion.fromArray(pose.joints[name]);
+        });
+    }
+
+    /**
+     * Interpolates between two poses (lerp on positions, slerp on rotations)
+     * @param {Object} poseA - Pose at t = 0
+     * @param {Object} poseB - Pose at t = 1
+     * @param {number} t - Blend factor (0 to 1)
+     * @returns {Object} - New pose
+     */
+    static lerpPose(poseA, poseB, t) {
+        const qa = new THREE.Quaternion();
+        const qb = new THREE.Quaternion();
+        const slerp = (a, b) => {
+            if (!a) return b.slice();
+            if (!b) return a.slice();
+            return qa.fromArray(a).slerp(qb.fromArray(b), t).toArray();
+        };
+
+        const joints = {};
+        const names = new Set([...Object.keys(poseA.joints || {}), ...Object.keys(poseB.joints || {})]);
+        names.forEach(name => {
+            joints[name] = slerp((poseA.joints || {})[name], (poseB.joints || {})[name]);
+        });
+
+        const rootA = poseA.root || {};
+        const rootB = poseB.root || {};
+        const root = {};
+        if (rootA.position || rootB.position) {
+            const pa = rootA.position || rootB.position;
+            const pb = rootB.position || rootA.position;
+            root.position = pa.map((value, i) => value + (pb[i] - value) * t);
+        }
+        if (rootA.quaternion || rootB.quaternion) {
+            root.quaternion = slerp(rootA.quaternion, rootB.quaternion);
+        }
+
+        return { root: root, joints: joints };
+    }
+
+    // ==========================================
+    // HAND POSES
+    // ==========================================
+
+    /**
+     * Poses the fingers of one hand from curl and spread amounts
+     * @param {string} side - 'left' or 'right'
+     * @param {string|Object} pose - HAND_POSES name ('open', 'curl', 'grip', 'point') or
+     *                               { thumb, index, middle, ring, pinky, spread } from 0 to 1
+     * @param {number} weight - Blend from the current finger rotations (0 to 1)
+     */
+    setHandPose(side, pose, weight = 1) {
+        const hand = this.joints[side + 'Hand'];
+        const amounts = typeof pose === 'string' ? HAND_POSES[pose] : pose;
+        if (!hand || !amounts) {
+            throw new Error(`HumanoidRobot: cannot apply hand pose "${pose}" to side "${side}"`);
+        }
+
+        const target = new THREE.Quaternion();
+        const euler = new THREE.Euler();
+        (hand.userData.fingers || []).forEach(finger => {
+            const curl = amounts[finger.name] || 0;
+            finger.joints.forEach((name, i) => {
+                // Curl each joint towards its limit; spread only at the base
+                const limit = this.jointConstraints[(this.constraintMap[name] || {}).x];
+                euler.set(curl * (limit ? limit.max : 1.5), 0, i === 0 ? (amounts.spread || 0) * finger.spread : 0);
+                this.joints[name].quaternion.slerp(target.setFromEuler(euler), weight);
+                this.applyJointConstraints(name);
+            });
+        });
+    }
+
+    // ==========================================
+    // INVERSE KINEMATICS
+    // ==========================================
+
+    /**
+     * Places an ankle at a world-space target (hip → knee → ankle)
+     * @param {string} side - 'left' or 'right'
+     * @param {THREE.Vector3} target - World-space ankle target
+     * @param {Object} options - { pole: world-space point the knee should face }
+     * @returns {number} - Remaining distance to the target after constraints
+     */
+    solveLegIK(side, target, options = {}) {
+        return this.solveLimbIK(side + 'UpperLeg', side + 'Knee', side + 'Ankle', target, options);
+    }
+
+    /**
+     * Places a hand at a world-space target (shoulder → elbow → hand)
+     * @param {string} side - 'left' or 'right'
+     * @param {THREE.Vector3} target - World-space hand target
+     * @param {Object} options - { pole: world-space point the elbow should face }
+     * @returns {number} - Remaining distance to the target after constraints
+     */
+    solveArmIK(side, target, options = {}) {
+        // Elbows bend forward, so by default the elbow points backward
+        return this.solveLimbIK(side + 'UpperArm', side + 'LowerArm', side + 'Hand', target,
+            Object.assign({ poleDirection: -1 }, options));
+    }
+
+    solveLimbIK(upperName, lowerName, endName, target, options = {}) {
+        const upper = this.joints[upperName];
+        const lower = this.joints[lowerName];
+        const end = this.joints[endName];
+        if (!upper || !lower || !end) {
+            throw new Error(`HumanoidRobot: IK chain ${upperName} → ${lowerName} → ${endName} is not in the rig`);
+        }
+
+        // Default pole: in front of the middle joint (behind it for poleDirection -1),
+        // following the robot's heading
+        let pole = options.pole;
+        if (!pole) {
+            pole = lower.getWorldPosition(new THREE.Vector3());
+            pole.add(new THREE.Vector3(0, 0, options.poleDirection || 1).transformDirection(this.root.matrixWorld));
+        }
+
+        const hingeAxes = this.constraintMap[lowerName] || {};
+        solveTwoBoneIK(upper, lower, end, target, {
+            pole: pole,
+            hingeRange: this.jointConstraints[hingeAxes.x]
+        });
+
+        // Respect the chain's joint limits
+        this.applyJointConstraints(upperName);
+        this.applyJointConstraints(lowerName);
+
+        end.updateWorldMatrix(true, false);
+        return end.getWorldPosition(new THREE.Vector3()).distanceTo(target);
     }
 
     // ==========================================
     // APPLY ALL JOINT CONSTRAINTS
     // ==========================================
     applyConstraints() {
-        // Hip constraints
-        this.constrainJoint(this.leftUpperLeg, 'x', this.jointConstraints.hipX);
-        this.constrainJoint(this.leftUpperLeg, 'y', this.jointConstraints.hipY);
-        this.constrainJoint(this.leftUpperLeg, 'z', this.jointConstraints.hipZ);
-
-        this.constrainJoint(this.rightUpperLeg, 'x', this.jointConstraints.hipX);
-        this.constrainJoint(this.rightUpperLeg, 'y', this.jointConstraints.hipY);
-        this.constrainJoint(this.rightUpperLeg, 'z', this.jointConstraints.hipZ);
-
-        // Knee constraints (only forward bend)
-        this.constrainJoint(this.leftKnee, 'x', this.jointConstraints.kneeX);
-        this.constrainJoint(this.rightKnee, 'x', this.jointConstraints.kneeX);
-
-        // Ankle constraints
-        this.constrainJoint(this.leftAnkle, 'x', this.jointConstraints.ankleX);
-        this.constrainJoint(this.leftAnkle, 'z', this.jointConstraints.ankleZ);
-        this.constrainJoint(this.rightAnkle, 'x', this.jointConstraints.ankleX);
-        this.constrainJoint(this.rightAnkle, 'z', this.jointConstraints.ankleZ);
-
-        // Shoulder constraints
-        this.constrainJoint(this.leftUpperArm, 'x', this.jointConstraints.shoulderX);
-        this.constrainJoint(this.leftUpperArm, 'z', this.jointConstraints.shoulderZ);
-        this.constrainJoint(this.rightUpperArm, 'x', this.jointConstraints.shoulderX);
-        this.constrainJoint(this.rightUpperArm, 'z', this.jointConstraints.shoulderZ);
-
-        // Elbow constraints (only forward bend)
-        this.constrainJoint(this.leftLowerArm, 'x', this.jointConstraints.elbowX);
-        this.constrainJoint(this.rightLowerArm, 'x', this.jointConstraints.elbowX);
-
-        // Neck constraints
-        this.constrainJoint(this.neck, 'x', this.jointConstraints.neckX);
-        this.constrainJoint(this.neck, 'y', this.jointConstraints.neckY);
+        Object.keys(this.constraintMap).forEach(name => this.applyJointConstraints(name));
+    }
+
+    // Clamp a single joint by name using its constraint map
+    applyJointConstraints(name) {
+        const axes = this.constraintMap[name] || {};
+        Object.keys(axes).forEach(axis => {
+            this.constrainJoint(this.joints[name], axis, this.jointConstraints[axes[axis]]);
+        });
     }
 }
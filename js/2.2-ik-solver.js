@@ -0,0 +1,105 @@
+// ==========================================
+// ANALYTIC TWO-BONE INVERSE KINEMATICS
+// ==========================================
+
+/**
+ * Position of an object expressed in the local frame of one of its ancestors
+ * @param {THREE.Object3D} object - Descendant whose origin is wanted
+ * @param {THREE.Object3D} ancestor - Frame to express the position in
+ * @returns {THREE.Vector3}
+ */
+function positionInAncestorFrame(object, ancestor) {
+    const position = object.position.clone();
+    let node = object.parent;
+    while (node && node !== ancestor) {
+        node.updateMatrix();
+        position.applyMatrix4(node.matrix);
+        node = node.parent;
+    }
+    return position;
+}
+
+/**
+ * Solves a two-bone chain (hip→knee→ankle, shoulder→elbow→hand) analytically.
+ * The upper joint is treated as a ball joint and the lower joint as a hinge
+ * around its local X axis, matching how the robot's knees and elbows bend.
+ *
+ * @param {THREE.Object3D} upper - Chain root joint (upper leg / upper arm)
+ * @param {THREE.Object3D} lower - Hinge joint (knee / lower arm)
+ * @param {THREE.Object3D} end - End effector (ankle / hand)
+ * @param {THREE.Vector3} target - World-space target for the end effector
+ * @param {Object} options - { pole: world-space point the hinge should face,
+ *                             hingeRange: { min, max } limits for the hinge angle }
+ */
+function solveTwoBoneIK(upper, lower, end, target, options = {}) {
+    const parent = upper.parent;
+    parent.updateWorldMatrix(true, false);
+
+    // Target and pole relative to the upper joint, in the upper joint's parent frame
+    const toTarget = parent.worldToLocal(target.clone()).sub(upper.position);
+    const toPole = options.pole
+        ? parent.worldToLocal(options.pole.clone()).sub(upper.position)
+        : null;
+
+    // Bone vectors in their own joint frames
+    const upperBone = positionInAncestorFrame(lower, upper);
+    const lowerBone = positionInAncestorFrame(end, lower);
+
+    // ---- Hinge angle from the law of cosines ----
+    // |upperBone + Rx(θ) * lowerBone| must equal the target distance. Split the
+    // lower bone into the part along the hinge axis and the part rotated by it.
+    const lowerAxial = new THREE.Vector3(lowerBone.x, 0, 0);
+    const lowerPlanar = new THREE.Vector3(0, lowerBone.y, lowerBone.z);
+    const reach = upperBone.clone().add(lowerAxial);
+    const reachPlanar = new THREE.Vector3(0, reach.y, reach.z);
+
+    const minDist = Math.abs(reach.length() - lowerPlanar.length()) + 1e-4;
+    const maxDist = reach.length() + lowerPlanar.length() - 1e-4;
+    const dist = Math.max(minDist, Math.min(maxDist, toTarget.length()));
+
+    let hinge = lower.rotation.x;
+    const denom = 2 * reachPlanar.length() * lowerPlanar.length();
+    if (denom > 1e-8) {
+        const cosPhi = (dist * dist - reach.lengthSq() - lowerPlanar.lengthSq()) / denom;
+        const phi = Math.acos(Math.max(-1, Math.min(1, cosPhi)));
+
+        // Rest angle between the two planar vectors around +X
+        const rest = Math.atan2(
+            reachPlanar.y * lowerPlanar.z - reachPlanar.z * lowerPlanar.y,
+            reachPlanar.dot(lowerPlanar)
+        );
+
+        // Two mirror solutions; prefer the one inside the hinge range
+        const range = options.hingeRange || { min: -Math.PI, max: Math.PI };
+        const clampHinge = angle => Math.max(range.min, Math.min(range.max, angle));
+        const candidates = [phi - rest, -phi - rest].map(angle => Math.atan2(Math.sin(angle), Math.cos(angle)));
+        hinge = candidates
+            .map(angle => ({ angle, clamped: clampHinge(angle) }))
+            .sort((a, b) => Math.abs(a.angle - a.clamped) - Math.abs(b.angle - b.clamped))[0].clamped;
+    }
+    lower.rotation.set(hinge, 0, 0);
+
+    // ---- Aim the upper joint at the target ----
+    const endInUpper = positionInAncestorFrame(end, upper);
+    const targetDir = toTarget.clone().normalize();
+    if (targetDir.lengthSq() === 0) return;
+
+    const aim = new THREE.Quaternion().setFromUnitVectors(endInUpper.clone().normalize(), targetDir);
+
+    // ---- Twist around the target axis so the hinge faces the pole ----
+    if (toPole) {
+        const mid = upperBone.clone().applyQuaternion(aim);
+        const midPlanar = mid.sub(targetDir.clone().multiplyScalar(mid.dot(targetDir)));
+        const polePlanar = toPole.clone().sub(targetDir.clone().multiplyScalar(toPole.dot(targetDir)));
+
+        if (midPlanar.lengthSq() > 1e-8 && polePlanar.lengthSq() > 1e-8) {
+            const twist = Math.atan2(
+                midPlanar.clone().cross(polePlanar).dot(targetDir),
+                midPlanar.dot(polePlanar)
+            );
+            aim.premultiply(new THREE.Quaternion().setFromAxisAngle(targetDir, twist));
+        }
+    }
+
+    upper.quaternion.copy(aim);
+}
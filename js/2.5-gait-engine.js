@@ -19,6 +19,205 @@ function cubicBezier(p0, p1, p2, p3, t) {
            (t * t * t) * p3;
 }
 
+/**
+ * Evaluates a timing curve from (0, 0) to (1, 1), like CSS cubic-bezier()
+ * Solves x(s) = u for the curve parameter s and returns y(s)
+ * @param {number} x1 - First control point x (0 to 1)
+ * @param {number} y1 - First control point y
+ * @param {number} x2 - Second control point x (0 to 1)
+ * @param {number} y2 - Second control point y
+ * @param {number} u - Input progress (0 to 1)
+ * @returns {number} - Eased progress
+ */
+function cubicBezierEase(x1, y1, x2, y2, u) {
+    // x(s) is monotonic for control x in [0, 1], so bisection always converges
+    let lo = 0;
+    let hi = 1;
+    let s = u;
+    for (let i = 0; i < 30; i++) {
+        s = (lo + hi) / 2;
+        if (cubicBezier(0, x1, x2, 1, s) < u) lo = s;
+        else hi = s;
+    }
+    return cubicBezier(0, y1, y2, 1, s);
+}
+
+/**
+ * Gait curves are piecewise cubic Bézier splines over one gait cycle, stored
+ * as control points [p0, c, c, p1, c, c, p2, ...] (3n + 1 points). Each point
+ * is { x, y } with x the gait phase: anchors run from x = 0 to x = 1 and each
+ * segment's handles stay within its anchors' x range, so x(s) is monotonic
+ * and the phase can be solved for the curve parameter s.
+ */
+
+/**
+ * Checks that a gait curve has the piecewise layout and monotonic phase
+ * @param {Array} curve - Control points
+ * @param {string} name - Curve name for error messages
+ */
+function validateGaitCurve(curve, name = 'curve') {
+    if (!Array.isArray(curve) || curve.length < 4 || (curve.length - 1) % 3 !== 0) {
+        throw new Error(`LowerLegEngine: ${name} needs 3n + 1 control points`);
+    }
+    if (curve[0].x !== 0 || curve[curve.length - 1].x !== 1) {
+        throw new Error(`LowerLegEngine: ${name} must run from phase 0 to phase 1`);
+    }
+    for (let i = 0; i + 3 < curve.length; i += 3) {
+        const start = curve[i].x;
+        const end = curve[i + 3].x;
+        const inside = x => x >= start && x <= end;
+        if (end < start || !inside(curve[i + 1].x) || !inside(curve[i + 2].x)) {
+            throw new Error(`LowerLegEngine: ${name} segment ${i / 3} is not monotonic in phase`);
+        }
+    }
+}
+
+/**
+ * Evaluates a gait curve at a gait phase, solving x(s) = phase on the
+ * segment that contains it
+ * @param {Array} curve - Control points (see validateGaitCurve)
+ * @param {number} phase - Gait phase (0 to 1)
+ * @returns {number} - Curve value
+ */
+function evalGaitCurve(curve, phase) {
+    let i = 0;
+    while (i + 3 < curve.length - 1 && phase > curve[i + 3].x) i += 3;
+    const [p0, p1, p2, p3] = [curve[i], curve[i + 1], curve[i + 2], curve[i + 3]];
+
+    // x(s) is monotonic on the segment, so bisection always converges
+    let lo = 0;
+    let hi = 1;
+    let s = 0.5;
+    for (let iteration = 0; iteration < 30; iteration++) {
+        s = (lo + hi) / 2;
+        if (cubicBezier(p0.x, p1.x, p2.x, p3.x, s) < phase) lo = s;
+        else hi = s;
+    }
+    return cubicBezier(p0.y, p1.y, p2.y, p3.y, s);
+}
+
+/**
+ * Builds a gait curve from Hermite keys
+ * @param {Array} keys - [{ x: phase, y: value, slope }] from x = 0 to x = 1; a
+ *                       missing slope is taken from the neighbouring keys
+ * @returns {Array} - Control points
+ */
+function hermiteGaitCurve(keys) {
+    const slopeAt = i => {
+        if (keys[i].slope !== undefined) return keys[i].slope;
+        const a = keys[Math.max(0, i - 1)];
+        const b = keys[Math.min(keys.length - 1, i + 1)];
+        return b.x > a.x ? (b.y - a.y) / (b.x - a.x) : 0;
+    };
+
+    const points = [{ x: keys[0].x, y: keys[0].y }];
+    for (let i = 0; i + 1 < keys.length; i++) {
+        const a = keys[i];
+        const b = keys[i + 1];
+        const third = (b.x - a.x) / 3;
+        points.push(
+            { x: a.x + third, y: a.y + slopeAt(i) * third },
+            { x: b.x - third, y: b.y - slopeAt(i + 1) * third },
+            { x: b.x, y: b.y }
+        );
+    }
+    return points;
+}
+
+/**
+ * Resamples a gait curve into evenly spaced Hermite segments, e.g. to blend
+ * curves with different numbers of segments
+ * @param {Array} curve - Control points
+ * @param {number} segments - Number of segments (default 24)
+ * @returns {Array} - Control points
+ */
+function resampleGaitCurve(curve, segments = 24) {
+    const h = 1e-4;
+    const keys = [];
+    for (let k = 0; k <= segments; k++) {
+        const x = k / segments;
+        const a = Math.max(0, x - h);
+        const b = Math.min(1, x + h);
+        keys.push({ x: x, y: evalGaitCurve(curve, x), slope: (evalGaitCurve(curve, b) - evalGaitCurve(curve, a)) / (b - a) });
+    }
+    return hermiteGaitCurve(keys);
+}
+
+/**
+ * Named gait styles. Each entry overrides part of the engine's default
+ * ('normal') settings; see LowerLegEngine.getStyle for the full layout:
+ *   curves    - { hip, knee, ankle, height } Bézier control points
+ *   amplitude - multipliers on the speed-derived amplitudes
+ *   bias      - angles held through the cycle in degrees (knee > 0 bends, hip < 0 flexes forward)
+ *   legs      - { left, right } per-leg multipliers for asymmetric gaits
+ *   dutyFactor - share of the cycle each foot is down at a walk (below 0.5 hops)
+ *   sway      - hip roll towards the stance foot in degrees
+ *   upperBody - arm swing, elbow, twist and lean in degrees (see getUpperBodyAngles)
+ */
+const GAIT_STYLES = {
+    normal: {},
+
+    // High knees, straight swinging arms, upright
+    march: {
+        curves: {
+            // Knee held high through most of the swing
+            knee: hermiteGaitCurve([
+                { x: 0, y: 0.0, slope: 0 },
+                { x: 0.12, y: 0.1, slope: 0 },
+                { x: 0.4, y: 0.03, slope: 0 },
+                { x: 0.66, y: 1.0, slope: 0 },
+                { x: 0.78, y: 1.0, slope: 0 },
+                { x: 0.95, y: 0.0, slope: 0 },
+                { x: 1, y: 0.0, slope: 0 }
+            ])
+        },
+        amplitude: { hip: 1.1, knee: 1.5, ankle: 0.6 },
+        sway: 1.5,
+        upperBody: { shoulderAmp: 35, elbowBase: 4, elbowAmp: 4, twistAmp: 2, leanAmp: 0 }
+    },
+
+    // Crouched, short careful steps, arms held in
+    sneak: {
+        amplitude: { hip: 0.8, knee: 1.2, ankle: 1.2, height: 0.5 },
+        bias: { hip: -12, knee: 30, ankle: -8 },
+        sway: 2,
+        upperBody: { shoulderAmp: 6, elbowBase: 55, elbowAmp: 5, twistAmp: 3, leanAmp: 14 }
+    },
+
+    // Stiff right leg, weight thrown onto the left
+    limp: {
+        legs: { right: { hip: 0.7, knee: 0.25, ankle: 0.4 } },
+        sway: 7,
+        upperBody: { shoulderAmp: 12, twistAmp: 9, leanAmp: 6 }
+    },
+
+    // Bouncy: both feet leave the ground between steps, the left knee lifts higher
+    skip: {
+        amplitude: { knee: 1.3, height: 1.5 },
+        legs: { left: { knee: 1.3 } },
+        dutyFactor: 0.35,
+        upperBody: { shoulderAmp: 30, elbowBase: 30, elbowAmp: 20 }
+    },
+
+    // Heavy flat-footed steps with a high knee lift
+    stomp: {
+        curves: {
+            // Foot flat through the stance, a short sharp toe-off, then the toe lifted
+            ankle: hermiteGaitCurve([
+                { x: 0, y: 0.0, slope: 0 },
+                { x: 0.5, y: 0.05 },
+                { x: 0.62, y: -0.8, slope: 0 },
+                { x: 0.8, y: 0.35, slope: 0 },
+                { x: 1, y: 0.0, slope: 0 }
+            ])
+        },
+        amplitude: { knee: 1.4, ankle: 0.5, height: 1.6 },
+        bias: { knee: 6 },
+        sway: 5,
+        upperBody: { shoulderAmp: 24, elbowBase: 25, twistAmp: 9, leanAmp: 6 }
+    }
+};
+
 /**
  * Lower-leg gait engine using Bézier curves for natural walking motion
  * Provides knee and ankle angles for realistic heel-strike and toe-off
@@ -27,71 +226,218 @@ class LowerLegEngine {
     constructor(cycleTime = 1.0) {
         this.cycleTime = cycleTime;
 
-        // Knee Bézier curve control points (x, y)
-        // These create the knee bend pattern during walking
-        this.kneeCurve = [
-            { x: -0.9, y: 0.0 },  // Start: straight
-            { x: -0.4, y: 0.6 },  // Lift phase
-            { x: 0.6, y: 0.6 },   // Swing phase
-            { x: 0.9, y: 0.0 }    // End: straight again
-        ];
+        // Gait curves: piecewise cubic Bézier control points (x = phase, y = value),
+        // see evalGaitCurve, built from Hermite keys. Phase 0 is the leg's heel
+        // strike: the stance runs to toe-off at 0.6, then the leg swings through.
+        // Every curve ends where it starts, so the cycle wraps without a jump.
 
-        // Ankle Bézier curve control points (x, y)
-        // These create heel-strike and toe-off motion
-        this.ankleCurve = [
-            { x: -0.9, y: 0.0 },  // Heel strike
-            { x: -0.6, y: 0.4 },  // Foot flat
-            { x: 0.3, y: 0.7 },   // Toe-off (push)
-            { x: 0.9, y: 0.0 }    // Swing through
-        ];
+        // Knee curve - slight give at loading, then the bend that clears the swing foot
+        this.kneeCurve = hermiteGaitCurve([
+            { x: 0, y: 0.0, slope: 0 },     // Heel strike: straight
+            { x: 0.12, y: 0.15, slope: 0 }, // Loading response
+            { x: 0.3, y: 0.05, slope: 0 },  // Mid stance: nearly straight
+            { x: 0.45, y: 0.05, slope: 0 },
+            { x: 0.72, y: 1.0, slope: 0 },  // Mid swing: most bend
+            { x: 0.95, y: 0.0, slope: 0 },  // Straight again before the heel lands
+            { x: 1, y: 0.0, slope: 0 }
+        ]);
 
-        // Hip swing curve - forward/backward leg movement
-        this.hipCurve = [
-            { x: -0.9, y: -0.5 }, // Back position
-            { x: -0.8, y: -0.3 }, // Moving forward
-            { x: 0.3, y: 0.3 },   // Forward swing
-            { x: 0.9, y: 0.5 }    // Maximum forward
-        ];
+        // Ankle curve - positive raises the toe: roll over the foot, push off, lift the toe in swing
+        this.ankleCurve = hermiteGaitCurve([
+            { x: 0, y: 0.0, slope: 0 },     // Heel strike
+            { x: 0.08, y: -0.3, slope: 0 }, // Foot flat
+            { x: 0.45, y: 0.4, slope: 0 },  // Shin rolls over the foot
+            { x: 0.62, y: -1.0, slope: 0 }, // Toe-off (push)
+            { x: 0.8, y: 0.2, slope: 0 },   // Toe lifted through the swing
+            { x: 1, y: 0.0, slope: 0 }
+        ]);
+
+        // Hip swing curve - positive moves the leg back: back through the stance, forward in the swing
+        this.hipCurve = hermiteGaitCurve([
+            { x: 0, y: -0.45, slope: 0.8 }, // Heel strike, leg forward
+            { x: 0.6, y: 0.5, slope: 0 },   // Toe-off, leg furthest back
+            { x: 0.9, y: -0.5, slope: 0 },  // End of the swing, leg furthest forward
+            { x: 1, y: -0.45, slope: 0.8 }
+        ]);
 
         // Body height curve - compensates for leg bending to keep CoM stable
         this.heightCurve = [
-            { x: -0.9, y: 0.0 },  // Neutral height
-            { x: -0.3, y: -0.15 }, // Slight drop during double support
-            { x: 0.3, y: -0.15 },  // Maintain low during swing
-            { x: 0.9, y: 0.0 }    // Return to neutral
+            { x: 0, y: 0.0 },       // Neutral height
+            { x: 1 / 3, y: -0.15 }, // Slight drop during double support
+            { x: 2 / 3, y: -0.15 }, // Maintain low during swing
+            { x: 1, y: 0.0 }        // Return to neutral
         ];
 
         // Amplitudes in degrees (converted to radians in getters)
         this.kneeAmp = 55;   // Maximum knee bend
         this.ankleAmp = 25;  // Maximum ankle flexion
-        this.hipAmp = 50;    // Maximum hip swing (degrees)
+        this.hipAmp = 32;    // Maximum hip swing (degrees)
         this.heightAmp = 0.08; // Body height adjustment (units)
+
+        // Upper body at speed 1 (normal walk), in degrees; see getUpperBodyAngles
+        this.shoulderAmp = 20;   // Arm swing each way
+        this.elbowBase = 12;     // Elbow bend held through the cycle
+        this.elbowRun = 30;      // Extra held bend per unit of speed above 1
+        this.elbowAmp = 15;      // Extra bend while the arm swings forward
+        this.twistAmp = 6;       // Pelvis twist
+        this.twistCounter = 0.6; // Chest yaw against the pelvis, as a fraction of the twist
+        this.leanAmp = 3.5;      // Forward lean from the waist
+
+        // Speed model (see getGaitParameters). The amplitudes above are the reference walk.
+        this.legLength = 1.0;          // Hip to ankle of the default rig (units)
+        this.strideEfficiency = 1.08;  // Travel per cycle over the hip sweep alone (the feet roll further), measured with FootPlanter
+        this.referenceSpeed = 0.685;   // Ground speed of the reference walk (units/s)
+        this.referenceCadence = 0.6;   // Gait cycles per second at the reference speed
+        this.strideExponent = 0.6;     // Stride grows with speed^0.6, cadence with the rest
+        this.minHipAmp = 28;           // Below this the swing foot barely clears the ground
+        this.maxHipAmp = 110;          // Stays inside the hip's joint limits
+        this.maxSpeedFactor = 2.5;     // Upper-body scaling stops growing at a run
+
+        // Walk to run (see getLocomotionAngles): between these speeds the duty
+        // factor drops below one half, opening a flight phase at each step
+        this.runStartSpeed = 1.4;      // Fastest pure walk (units/s)
+        this.runFullSpeed = 2.2;       // Slowest pure run (units/s)
+        this.walkDutyFactor = 0.6;     // Share of the cycle each foot is on the ground
+        this.runDutyFactor = 0.3;
+        this.stepPhase = 0.0;          // Phase where the left foot takes over the stance
+        this.toeOffPhase = 0.6;        // Phase where each foot leaves the ground (hip furthest back)
+        this.gravity = 10.9;           // Units/s² (the leg is ~0.9 m)
+
+        // Turning (see getLocomotionAngles): hip yaw follows the heading change
+        // and the weight shifts over the stance foot and into the turn
+        this.maxTurnRate = 1.2;        // rad/s
+        this.maxHipYaw = 17;           // Degrees, inside the hipY limits
+        this.swayAmp = 3;              // Hip roll towards the stance foot at a walk (degrees)
+        this.turnGain = 1.5;           // Turn rate per radian of heading error when steering
+
+        // Starting and stopping (see GaitClock): the stride grows from a standing
+        // pose over the start steps and shrinks over the stop steps until both
+        // feet are together
+        this.startSteps = 2;           // Steps (half cycles) from standing to the full stride
+        this.stopSteps = 2;            // Steps from the full stride to standing
+        this.minStepSpeed = 0.2;       // Slower target speeds stop the gait (units/s)
+        this.minStepCadence = 0.5;     // Cycles/s, keeps start and stop steps brisk at slow speeds
+
+        // Style modifiers on top of the curves (see GAIT_STYLES and setStyle)
+        this.styleAmplitude = { hip: 1, knee: 1, ankle: 1, height: 1 };  // Multipliers on the speed-derived amplitudes
+        this.styleBias = { hip: 0, knee: 0, ankle: 0 };                  // Angles held through the cycle (degrees)
+        this.legScale = {                                                // Per-leg multipliers for asymmetric gaits
+            left: { hip: 1, knee: 1, ankle: 1 },
+            right: { hip: 1, knee: 1, ankle: 1 }
+        };
+
+        // Everything above is the 'normal' style
+        this.defaultStyle = this.getStyle();
     }
 
     /**
-     * Evaluates a Bézier curve at given phase
-     * @param {Array} curve - Array of 4 control points {x, y}
-     * @param {number} phase - Phase value (0 to 1)
-     * @returns {Object} - {x, y} coordinates on curve
+     * Snapshot of the current style settings, in the GAIT_STYLES layout
+     * @returns {Object} - { curves, amplitude, bias, legs, dutyFactor, sway, upperBody }
      */
-    evalCurve(curve, phase) {
-        const x = cubicBezier(
-            curve[0].x,
-            curve[1].x,
-            curve[2].x,
-            curve[3].x,
-            phase
-        );
+    getStyle() {
+        const copyCurve = curve => curve.map(point => ({ x: point.x, y: point.y }));
+        return {
+            curves: {
+                hip: copyCurve(this.hipCurve),
+                knee: copyCurve(this.kneeCurve),
+                ankle: copyCurve(this.ankleCurve),
+                height: copyCurve(this.heightCurve)
+            },
+            amplitude: Object.assign({}, this.styleAmplitude),
+            bias: Object.assign({}, this.styleBias),
+            legs: { left: Object.assign({}, this.legScale.left), right: Object.assign({}, this.legScale.right) },
+            dutyFactor: this.walkDutyFactor,
+            sway: this.swayAmp,
+            upperBody: {
+                shoulderAmp: this.shoulderAmp,
+                elbowBase: this.elbowBase,
+                elbowRun: this.elbowRun,
+                elbowAmp: this.elbowAmp,
+                twistAmp: this.twistAmp,
+                twistCounter: this.twistCounter,
+                leanAmp: this.leanAmp
+            }
+        };
+    }
 
-        const y = cubicBezier(
-            curve[0].y,
-            curve[1].y,
-            curve[2].y,
-            curve[3].y,
-            phase
-        );
+    /**
+     * Completes a style with the engine's default ('normal') settings
+     * @param {string|Object} style - GAIT_STYLES name or a (partial) style object
+     * @returns {Object} - Full style
+     */
+    resolveStyle(style) {
+        if (typeof style === 'string') {
+            if (!GAIT_STYLES[style]) {
+                throw new Error(`LowerLegEngine: unknown gait style "${style}"`);
+            }
+            style = GAIT_STYLES[style];
+        }
+        const merge = (base, override) => {
+            if (override === undefined) return base;
+            if (Array.isArray(base) || typeof base !== 'object') return override;
+            const merged = {};
+            Object.keys(base).forEach(key => { merged[key] = merge(base[key], override[key]); });
+            return merged;
+        };
+        // Copy so later edits to the engine's curves don't reach the defaults
+        return JSON.parse(JSON.stringify(merge(this.defaultStyle, style)));
+    }
 
-        return { x, y };
+    /**
+     * Blends two styles; curves blend control point by control point
+     * @param {string|Object} a - Style at weight 0
+     * @param {string|Object} b - Style at weight 1
+     * @param {number} weight - Blend weight (0 to 1)
+     * @returns {Object} - Full style
+     */
+    blendStyles(a, b, weight) {
+        const lerp = (x, y) => {
+            if (typeof x === 'number') return x + (y - x) * weight;
+            if (Array.isArray(x)) {
+                // Curves with different segment counts blend on a common resampling
+                if (x.length !== y.length) {
+                    x = resampleGaitCurve(x);
+                    y = resampleGaitCurve(y);
+                }
+                return x.map((item, i) => lerp(item, y[i]));
+            }
+            const blended = {};
+            Object.keys(x).forEach(key => { blended[key] = lerp(x[key], y[key]); });
+            return blended;
+        };
+        return lerp(this.resolveStyle(a), this.resolveStyle(b));
+    }
+
+    /**
+     * Switches the gait style, e.g. setStyle('limp') or setStyle('sneak', 0.5)
+     * for a half-way blend from normal. Calling it every frame with a ramped
+     * weight fades between styles.
+     * @param {string|Object} style - GAIT_STYLES name or a (partial) style object
+     * @param {number} weight - Blend from the normal style (default 1)
+     */
+    setStyle(style, weight = 1) {
+        const full = weight === 1 ? this.resolveStyle(style) : this.blendStyles('normal', style, weight);
+        Object.keys(full.curves).forEach(name => validateGaitCurve(full.curves[name], `${name} curve`));
+        this.hipCurve = full.curves.hip;
+        this.kneeCurve = full.curves.knee;
+        this.ankleCurve = full.curves.ankle;
+        this.heightCurve = full.curves.height;
+        this.styleAmplitude = full.amplitude;
+        this.styleBias = full.bias;
+        this.legScale = full.legs;
+        this.walkDutyFactor = full.dutyFactor;
+        this.swayAmp = full.sway;
+        Object.assign(this, full.upperBody);
+    }
+
+    /**
+     * Evaluates a gait curve at given phase
+     * @param {Array} curve - Piecewise Bézier control points {x, y} (see evalGaitCurve)
+     * @param {number} phase - Phase value (0 to 1)
+     * @returns {Object} - {x, y} coordinates on curve (x is the phase)
+     */
+    evalCurve(curve, phase) {
+        return { x: phase, y: evalGaitCurve(curve, phase) };
     }
 
     /**
@@ -105,12 +451,68 @@ class LowerLegEngine {
         return raw / this.cycleTime;
     }
 
+    /**
+     * Derives stride length, cadence and amplitudes for a target ground speed.
+     * Stride grows with speed until the hip sweep reaches its limits, cadence
+     * covers the rest; knee, ankle and height amplitudes grow with the stride.
+     * @param {number} speed - Ground speed in units per second (slow walk ~0.3, jog ~2, run ~2.5+)
+     * @param {number} turnRate - Heading change in rad/s, positive counterclockwise seen from above
+     * @returns {Object} - { speed, turnRate, strideLength (units per cycle), cadence (cycles/s), cycleTime,
+     *                       hipAmp, kneeAmp, ankleAmp, heightAmp, speedFactor, rootVelocity,
+     *                       runBlend (0 walk to 1 run), dutyFactor, flightTime (s), flightHeight }
+     */
+    getGaitParameters(speed, turnRate = 0) {
+        if (!(speed >= 0)) {
+            throw new Error(`LowerLegEngine: invalid gait speed ${speed}`);
+        }
+        const toRadians = Math.PI / 180;
+        const reach = this.strideEfficiency * 4 * this.legLength;
+        const strideFor = amp => reach * Math.sin(amp / 2 * toRadians);
+
+        const referenceStride = this.referenceSpeed / this.referenceCadence;
+        const stride = Math.min(strideFor(this.maxHipAmp), Math.max(strideFor(this.minHipAmp),
+            referenceStride * Math.pow(speed / this.referenceSpeed, this.strideExponent)));
+        const cadence = speed / stride;
+
+        // Hip curve spans ±hipAmp/2, so the sweep gives 4·L·sin(hipAmp/2) per cycle
+        const hipAmp = 2 * Math.asin(stride / reach) / toRadians;
+        const effort = Math.max(1, Math.sqrt(hipAmp / this.hipAmp));
+
+        // Smoothstep from walk to run; flight lasts while neither foot is down
+        const blend = Math.min(1, Math.max(0, (speed - this.runStartSpeed) / (this.runFullSpeed - this.runStartSpeed)));
+        const runBlend = blend * blend * (3 - 2 * blend);
+        const dutyFactor = this.walkDutyFactor + (this.runDutyFactor - this.walkDutyFactor) * runBlend;
+        const flightTime = cadence > 0 ? Math.max(0, 0.5 - dutyFactor) / cadence : 0;
+
+        return {
+            speed: speed,
+            turnRate: Math.max(-this.maxTurnRate, Math.min(this.maxTurnRate, turnRate)),
+            strideLength: stride,
+            cadence: cadence,
+            cycleTime: cadence > 0 ? 1 / cadence : Infinity,
+            hipAmp: hipAmp,
+            kneeAmp: this.kneeAmp * effort,
+            ankleAmp: this.ankleAmp * effort,
+            heightAmp: this.heightAmp * effort,
+            speedFactor: Math.min(this.maxSpeedFactor, speed / this.referenceSpeed),
+            rootVelocity: stride * cadence,
+            runBlend: runBlend,
+            dutyFactor: dutyFactor,
+            flightTime: flightTime,
+            flightHeight: this.gravity * flightTime * flightTime / 8
+        };
+    }
+
     /**
      * Gets complete gait data for both legs at given time
      * @param {number} t - Current time
+     * @param {Object} gait - Amplitudes to use, e.g. from getGaitParameters (defaults to the engine's);
+     *                        an optional weight (see GaitClock) scales everything towards standing
      * @returns {Object} - Hip, knee, ankle angles and body height
      */
-    getLowerLegAngles(t) {
+    getLowerLegAngles(t, gait = this) {
+        const weight = gait.weight !== undefined ? gait.weight : 1;
+
         // Left leg phase (starts at 0)
         const phaseL = this.getPhase(t, 0);
 
@@ -130,24 +532,476 @@ class LowerLegEngine {
         // Body height compensation (average of both legs)
         const heightL = this.evalCurve(this.heightCurve, phaseL);
         const heightR = this.evalCurve(this.heightCurve, phaseR);
-        const bodyHeight = ((heightL.y + heightR.y) / 2) * this.heightAmp;
+        const bodyHeight = ((heightL.y + heightR.y) / 2) * gait.heightAmp * this.styleAmplitude.height * weight;
+
+        // Style: amplitude multipliers, per-leg asymmetry and held angles
+        const amp = this.styleAmplitude;
+        const bias = this.styleBias;
+        const weighted = weight * Math.PI / 180;  // Degrees to radians, scaled towards standing
+        const leg = (hip, knee, ankle, scale) => ({
+            hip: (hip.y * gait.hipAmp * amp.hip * scale.hip + bias.hip) * weighted,
+            knee: (knee.y * gait.kneeAmp * amp.knee * scale.knee + bias.knee) * weighted,
+            ankle: (ankle.y * gait.ankleAmp * amp.ankle * scale.ankle + bias.ankle) * weighted
+        });
 
         // Convert to radians and return
         return {
-            left_leg: {
-                hip: (hipL.y * this.hipAmp) * (Math.PI / 180),
-                knee: (kneeL.y * this.kneeAmp) * (Math.PI / 180),
-                ankle: (ankleL.y * this.ankleAmp) * (Math.PI / 180)
-            },
-            right_leg: {
-                hip: (hipR.y * this.hipAmp) * (Math.PI / 180),
-                knee: (kneeR.y * this.kneeAmp) * (Math.PI / 180),
-                ankle: (ankleR.y * this.ankleAmp) * (Math.PI / 180)
-            },
+            left_leg: leg(hipL, kneeL, ankleL, this.legScale.left),
+            right_leg: leg(hipR, kneeR, ankleR, this.legScale.right),
             bodyHeight: bodyHeight  // Vertical adjustment to keep feet on ground
         };
     }
+
+    /**
+     * Turn rate that steers the heading towards a target, easing in as the
+     * error closes
+     * @param {number} heading - Current heading in radians
+     * @param {number} target - Target heading in radians
+     * @returns {number} - Turn rate in rad/s
+     */
+    getTurnRateToward(heading, target) {
+        const error = Math.atan2(Math.sin(target - heading), Math.cos(target - heading));
+        return Math.max(-this.maxTurnRate, Math.min(this.maxTurnRate, error * this.turnGain));
+    }
+
+    /**
+     * Unified walk/run generator: the leg angles of getLowerLegAngles plus the
+     * flight phase. While the duty factor is below one half, each hand-over
+     * of the stance (around stepPhase and half a cycle later) becomes a
+     * ballistic hop with both feet off the ground. Everything follows from
+     * the gait parameters, so speeding up turns a walk into a run smoothly.
+     *
+     * Turning: each hip yaws with the body's rotation over its stance foot
+     * (as hip pitch follows the travel), and both hips roll so the pelvis
+     * shifts over the stance foot and towards the centre of the turn.
+     * @param {number} t - Gait time in cycles (see GaitClock)
+     * @param {Object} gait - Parameters from getGaitParameters, with weight (see GaitClock)
+     * @returns {Object} - getLowerLegAngles result with yaw and roll per leg,
+     *                     plus lift (root height above the planted pose) and
+     *                     airborne (no foot in contact)
+     */
+    getLocomotionAngles(t, gait) {
+        const angles = this.getLowerLegAngles(t, gait);
+        const weight = gait.weight !== undefined ? gait.weight : 1;
+        const phase = this.getPhase(t, 0);
+        const window = Math.max(0, 0.5 - gait.dutyFactor);
+
+        let lift = 0;
+        if (window > 0) {
+            [this.stepPhase, this.stepPhase + 0.5].forEach(centre => {
+                // Progress through the flight, wrapped to the nearest cycle
+                const offset = ((phase - centre + 1.5) % 1) - 0.5;
+                const u = offset / window + 0.5;
+                if (u > 0 && u < 1) lift = 4 * gait.flightHeight * weight * u * (1 - u);
+            });
+        }
+
+        // Yaw: the stance foot turns against the body at turnRate while the hip
+        // sweeps its span between heel strike and toe-off
+        const toRadians = Math.PI / 180;
+        const maxYaw = this.maxHipYaw * toRadians;
+        const yawPerCycle = gait.cadence > 0 ? this.toeOffPhase * gait.turnRate / gait.cadence : 0;
+        const yaw = legPhase => Math.max(-maxYaw, Math.min(maxYaw,
+            -this.evalCurve(this.hipCurve, legPhase).y * yawPerCycle));
+
+        // Roll: sway over the stance foot (left stance is centred half-way from
+        // stepPhase to toe-off) plus a shift towards the centre of the turn
+        const sway = this.swayAmp * (1 - 0.6 * gait.runBlend) * weight * toRadians *
+            Math.cos((phase - this.stepPhase - this.toeOffPhase / 2) * Math.PI * 2);
+        const roll = sway - Math.atan(gait.speed * gait.turnRate / this.gravity);
+
+        angles.left_leg.yaw = yaw(phase);
+        angles.right_leg.yaw = yaw(this.getPhase(t, this.cycleTime / 2));
+        angles.left_leg.roll = roll;
+        angles.right_leg.roll = roll;
+        angles.lift = lift;
+        angles.airborne = lift > 0;
+        return angles;
+    }
+
+    /**
+     * Gets arm, torso and head angles matching the leg cycle at time t.
+     * Each arm swings with the opposite leg; the pelvis twists towards the
+     * forward leg while the chest turns back, and the head cancels the
+     * chest's yaw and lean so the gaze stays level.
+     * @param {number} t - Current time (same clock as getLowerLegAngles)
+     * @param {number} speed - Gait speed, 1 for a normal walk; amplitudes scale with it
+     * @param {number} weight - 0 (standing) to 1 (full gait), see GaitClock
+     * @returns {Object} - Radians: { left_arm: { shoulder, elbow }, right_arm: { shoulder, elbow },
+     *                     torso: { twist, counter, lean }, head: { yaw, pitch } }
+     */
+    getUpperBodyAngles(t, speed = 1, weight = 1) {
+        const weighted = weight * Math.PI / 180;  // Degrees to radians, scaled towards standing
+        const phaseL = this.getPhase(t, 0);
+        const phaseR = this.getPhase(t, this.cycleTime / 2);
+
+        // Smooth swing in phase with each leg's hip curve: -1 leg forward (heel
+        // strike), +1 leg back (around toe-off)
+        const swingL = -Math.cos(phaseL * Math.PI * 2);
+        const swingR = -Math.cos(phaseR * Math.PI * 2);
+
+        const heldBend = this.elbowBase + this.elbowRun * Math.max(0, speed - 1);
+        const arm = legSwing => {
+            // Positive shoulder X swings the arm back; negative elbow X bends it forward
+            const shoulder = legSwing * this.shoulderAmp * speed;
+            const elbow = -(heldBend + this.elbowAmp * speed * Math.max(0, -legSwing));
+            return { shoulder: shoulder * weighted, elbow: elbow * weighted };
+        };
+
+        const twist = this.twistAmp * speed * -swingL * weighted;
+        const lean = this.leanAmp * speed * weighted;
+
+        return {
+            left_arm: arm(swingR),
+            right_arm: arm(swingL),
+            torso: { twist: twist, counter: this.twistCounter, lean: lean },
+            head: { yaw: twist * this.twistCounter, pitch: -lean }
+        };
+    }
 }
 
 // Create global instance for use in animations
 const gaitEngine = new LowerLegEngine(1.0);
+
+
+/**
+ * Gait clock: counts gait cycles while the ground speed changes. Speed
+ * follows its target at a limited acceleration and cycles accumulate at the
+ * matching cadence, so speed changes neither jump the phase nor pop the pose.
+ *
+ * The clock also carries a weight from 0 (standing) to 1 (full gait) that
+ * scales every joint angle. A fresh start takes the engine's start steps to
+ * grow the stride from a standing pose; a target below minStepSpeed, or
+ * stop(), shrinks it over the stop steps until both feet are together.
+ */
+class GaitClock {
+    /**
+     * @param {LowerLegEngine} engine - Engine providing the speed model
+     * @param {number} acceleration - Largest speed change in units/s per second
+     */
+    constructor(engine, acceleration = 1.5) {
+        this.engine = engine;
+        this.acceleration = acceleration;
+        this.turnAcceleration = 2;  // Largest turn-rate change in rad/s per second
+        this.standingStart = true;  // A fresh start takes start steps; false starts in full stride
+        this.reset();
+    }
+
+    reset() {
+        this.lastTime = null;
+        this.cycles = 0;
+        this.speed = null;
+        this.turnRate = 0;
+        this.weight = this.standingStart ? 0 : 1;
+        this.stopping = false;
+        this.pending = null;
+    }
+
+    /**
+     * Continues another clock's phase and speed from this clock's next start,
+     * so an animation fading in picks up the legs where the last one left them
+     * @param {GaitClock} other - Clock of the outgoing animation
+     */
+    syncFrom(other) {
+        this.pending = { cycles: other.cycles, speed: other.speed, turnRate: other.turnRate, weight: other.weight };
+    }
+
+    /**
+     * Ground the stop steps would cover from the current speed and weight,
+     * found by running a copy of the clock to a standstill
+     * @param {number} dt - Simulation step in seconds
+     * @returns {number} - Distance in units (0 before the first update)
+     */
+    getStopDistance(dt = 1 / 60) {
+        if (this.speed === null) return 0;
+        const clock = new GaitClock(this.engine, this.acceleration);
+        clock.syncFrom(this);
+        clock.update(0, 0);
+        let distance = 0;
+        for (let t = dt; clock.weight > 0 && t < 60; t += dt) {
+            const cycles = clock.cycles;
+            const gait = clock.update(t, 0);
+            // The weight scales the hip sweep, and with it the stride
+            distance += gait.strideLength * gait.weight * (clock.cycles - cycles);
+        }
+        return distance;
+    }
+
+    /**
+     * Takes the stop steps whatever the target speed, until the next reset
+     */
+    stop() {
+        this.stopping = true;
+    }
+
+    /**
+     * True once the stop steps have brought both feet together (and before a start)
+     */
+    isStanding() {
+        return this.weight === 0;
+    }
+
+    /**
+     * Advances the clock to animation time t
+     * @param {number} t - Animation time (restarts the clock when it goes backward)
+     * @param {number} targetSpeed - Requested ground speed in units per second
+     * @param {number} targetTurnRate - Requested turn rate in rad/s
+     * @returns {Object} - getGaitParameters for the current speed and turn rate, plus
+     *                     time: elapsed gait cycles (the engine's time argument),
+     *                     deltaTime: seconds since the last update and
+     *                     weight: 0 standing to 1 full gait
+     */
+    update(t, targetSpeed, targetTurnRate = 0) {
+        if (this.pending) {
+            // Synced start: animation time begins at 0 with the other clock's state
+            const pending = this.pending;
+            this.reset();
+            this.lastTime = Math.min(0, t);
+            this.cycles = pending.cycles;
+            this.speed = pending.speed;
+            this.turnRate = pending.turnRate;
+            this.weight = pending.weight;
+        } else if (this.lastTime === null || t < this.lastTime) {
+            this.reset();
+        }
+        const dt = this.lastTime === null ? 0 : t - this.lastTime;
+        this.lastTime = t;
+
+        // Stopping holds the speed at minStepSpeed or above, so the last steps keep their pace
+        const engine = this.engine;
+        const stopping = this.stopping || targetSpeed < engine.minStepSpeed;
+        const speed = stopping ? Math.max(targetSpeed, engine.minStepSpeed) : targetSpeed;
+        if (this.speed === null) {
+            this.speed = speed;
+        } else {
+            const maxChange = this.acceleration * dt;
+            this.speed += Math.max(-maxChange, Math.min(maxChange, speed - this.speed));
+        }
+
+        const maxTurnChange = this.turnAcceleration * dt;
+        this.turnRate += Math.max(-maxTurnChange, Math.min(maxTurnChange, targetTurnRate - this.turnRate));
+
+        const gait = engine.getGaitParameters(this.speed, this.turnRate);
+
+        // Start and stop steps: the weight moves one step per half cycle, and the
+        // cadence eases towards minStepCadence as the stride shrinks
+        const stepCadence = Math.max(gait.cadence, engine.minStepCadence);
+        const steps = 2 * stepCadence * dt;
+        this.weight = stopping
+            ? Math.max(0, this.weight - steps / engine.stopSteps)
+            : Math.min(1, this.weight + steps / engine.startSteps);
+        if (this.weight > 0) {
+            this.cycles += dt * (stepCadence + (gait.cadence - stepCadence) * this.weight);
+        }
+
+        gait.turnRate *= this.weight;
+        gait.time = this.cycles;
+        gait.deltaTime = dt;
+        gait.weight = this.weight;
+        return gait;
+    }
+}
+
+
+/**
+ * Foot planting: derives root motion from the stance foot so it stays fixed
+ * on the ground instead of sliding under the body.
+ * Each frame the stance foot's position (forward kinematics of the current
+ * leg chain) is measured in the robot's base frame and compared with the
+ * previous frame; the opposite of its motion is the root displacement.
+ */
+class FootPlanter {
+    constructor(feet = ['leftFoot', 'rightFoot']) {
+        this.feet = feet;
+        this.contactTolerance = 0.06; // Height above ground still counted as contact
+        this.velocitySmoothing = 0.2; // Blend factor for the flight-phase velocity
+        this.reset();
+    }
+
+    /**
+     * Clears tracking state (call when an animation restarts)
+     */
+    reset() {
+        this.stance = null;
+        this.lastTime = null;
+        this.lastPositions = null;
+        this.velocity = new THREE.Vector3();
+    }
+
+    /**
+     * Positions of all tracked feet in the robot's base frame
+     */
+    getFootPositions(robot) {
+        const frame = robot.root.parent || robot.root;
+        frame.updateMatrixWorld(true);
+        return this.feet.map(name => frame.worldToLocal(robot[name].getWorldPosition(new THREE.Vector3())));
+    }
+
+    /**
+     * Measures the root displacement that keeps the stance foot planted
+     * @param {HumanoidRobot} robot - Robot whose joints are already posed for this frame
+     * @param {number} t - Animation time
+     * @param {Object} options - { pinHeight: also keep the lowest foot on the ground,
+     *                            lift: height added after pinning, airborne: no foot is in contact,
+     *                            heading: base rotation this frame, pivoting about the stance foot }
+     * @returns {Object} - { displacement: base-frame root motion for this frame,
+     *                       stance: stance foot name or null during flight }
+     */
+    update(robot, t, options = {}) {
+        if (this.lastTime === null || t < this.lastTime) this.reset();
+        const dt = this.lastTime === null ? 0 : t - this.lastTime;
+        this.lastTime = t;
+
+        // Ground contact happens at the rest height of the ankle
+        const groundHeight = robot.getRestPosition(this.feet[0]).y;
+        const positions = this.getFootPositions(robot);
+
+        if (options.pinHeight) {
+            const lowest = Math.min(...positions.map(p => p.y));
+            const offset = groundHeight - lowest + (options.lift || 0);
+            robot.root.position.y += offset;
+            positions.forEach(p => { p.y += offset; });
+        }
+
+        const displacement = new THREE.Vector3();
+        const previous = this.lastPositions;
+        this.lastPositions = positions;
+        if (!previous || dt <= 0) {
+            return { displacement, stance: this.stance };
+        }
+
+        // How far each foot moved backward (the base frame faces +z)
+        const backward = positions.map((p, i) => previous[i].z - p.z);
+
+        // Contact: feet close to the ground; prefer keeping the current stance foot
+        const contacts = options.airborne ? [] : this.feet
+            .map((name, i) => i)
+            .filter(i => positions[i].y <= groundHeight + this.contactTolerance);
+        const current = this.feet.indexOf(this.stance);
+
+        let stanceIndex = -1;
+        if (contacts.includes(current) && backward[current] >= 0) {
+            stanceIndex = current;
+        } else if (contacts.length > 0) {
+            stanceIndex = contacts.reduce((best, i) => (backward[i] > backward[best] ? i : best));
+            // A foot moving forward is swinging, not planted: coast instead
+            if (backward[stanceIndex] < 0) stanceIndex = -1;
+        }
+
+        if (stanceIndex >= 0) {
+            // Planted: the body moves by the opposite of the stance foot's motion,
+            // measured after the base turns so the body pivots about the foot
+            const anchor = previous[stanceIndex].clone();
+            if (options.heading) anchor.applyAxisAngle(new THREE.Vector3(0, 1, 0), -options.heading);
+            displacement.subVectors(anchor, positions[stanceIndex]);
+            displacement.y = 0;
+            this.velocity.lerp(displacement.clone().divideScalar(dt), this.velocitySmoothing);
+            this.stance = this.feet[stanceIndex];
+        } else {
+            // Flight phase: carry the momentum from the last contact
+            displacement.copy(this.velocity).multiplyScalar(dt);
+            displacement.y = 0;
+            this.stance = null;
+        }
+
+        return { displacement, stance: this.stance };
+    }
+}
+
+
+/**
+ * Locomotion state for one animation: a gait clock for the phase and speed
+ * and a foot planter for the root motion. Animations driven by generators
+ * can hand the phase over while crossfading (see syncFrom).
+ */
+class LocomotionGenerator {
+    /**
+     * @param {LowerLegEngine} engine - Gait engine (defaults to gaitEngine)
+     * @param {number} acceleration - Largest speed change in units/s per second
+     */
+    constructor(engine = gaitEngine, acceleration) {
+        this.engine = engine;
+        this.clock = new GaitClock(engine, acceleration);
+        this.planter = new FootPlanter();
+        this.frame = null;  // Result of the last step
+    }
+
+    reset() {
+        this.clock.reset();
+        this.planter.reset();
+        this.frame = null;
+    }
+
+    /**
+     * Continues another generator's leg phase, speed and momentum
+     * @param {LocomotionGenerator} other - Generator of the outgoing animation
+     */
+    syncFrom(other) {
+        const velocity = other.planter.velocity.clone();
+        this.clock.syncFrom(other.clock);
+        this.planter.reset();
+        this.planter.velocity.copy(velocity);
+    }
+
+    /**
+     * A new generator with this one's engine and clock and planter settings,
+     * but none of its state (for baking and layers)
+     * @returns {LocomotionGenerator}
+     */
+    cloneSettings() {
+        const generator = new LocomotionGenerator(this.engine, this.clock.acceleration);
+        generator.clock.turnAcceleration = this.clock.turnAcceleration;
+        generator.clock.standingStart = this.clock.standingStart;
+        generator.planter.feet = this.planter.feet.slice();
+        generator.planter.contactTolerance = this.planter.contactTolerance;
+        generator.planter.velocitySmoothing = this.planter.velocitySmoothing;
+        generator.reset();
+        return generator;
+    }
+
+    /**
+     * Takes stop steps into a standing pose (see GaitClock.stop)
+     */
+    stop() {
+        this.clock.stop();
+    }
+
+    /**
+     * True once the stop steps have brought both feet together
+     */
+    isStanding() {
+        return this.clock.isStanding();
+    }
+
+    /**
+     * Advances to animation time t at the requested speed and turn rate
+     * @returns {Object} - { gait: getGaitParameters with time, legs: getLocomotionAngles,
+     *                       upper: getUpperBodyAngles }
+     */
+    step(t, targetSpeed, targetTurnRate = 0) {
+        const gait = this.clock.update(t, targetSpeed, targetTurnRate);
+        this.frame = {
+            gait: gait,
+            legs: this.engine.getLocomotionAngles(gait.time, gait),
+            upper: this.engine.getUpperBodyAngles(gait.time, gait.speedFactor, gait.weight)
+        };
+        return this.frame;
+    }
+
+    /**
+     * Pins the feet for the posed robot and returns the frame's root motion
+     * @param {HumanoidRobot} robot - Robot posed from the last step
+     * @param {number} t - Animation time
+     * @param {Object} frame - The result of the last step
+     */
+    plant(robot, t, frame) {
+        const heading = frame.gait.turnRate * frame.gait.deltaTime;
+        const planted = this.planter.update(robot, t, {
+            pinHeight: true,
+            lift: frame.legs.lift,
+            airborne: frame.legs.airborne,
+            heading: heading
+        });
+        return { displacement: planted.displacement, heading: heading };
+    }
+}
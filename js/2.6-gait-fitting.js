@@ -0,0 +1,237 @@
+// ==========================================
+// GAIT CURVE FITTING FROM SAMPLED DATA
+// ==========================================
+
+/*
+ * Fits LowerLegEngine curves to reference gait data: joint angle against
+ * gait-cycle percentage for hip, knee and ankle, as found in clinical gait
+ * tables. Each joint becomes a periodic Hermite spline with evenly spaced
+ * keys whose values and slopes are solved by linear least squares, then
+ * normalised into a curve and an amplitude the way the engine's own curves
+ * are (hip spans ±0.5 around a held angle, knee and ankle scale from zero).
+ *
+ * Angles in the data follow the clinical convention: hip and knee flexion
+ * and ankle dorsiflexion positive. `signs` maps them onto the engine, where
+ * a positive hip angle swings the leg back and a positive ankle angle raises
+ * the toe (dorsiflexion), so only the hip changes sign.
+ */
+
+const GAIT_FIT_JOINTS = ['hip', 'knee', 'ankle'];
+
+/**
+ * Parses a gait table: a header row naming the cycle column (cycle, phase,
+ * percent, %) and hip / knee / ankle columns, then one row per sample.
+ * Lines starting with # are comments. Percentages are scaled to phase 0 to 1.
+ * @param {string} text - CSV contents
+ * @returns {Object} - { hip: [{ phase, angle }], knee: [...], ankle: [...] } for the columns present
+ */
+function parseGaitCSV(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+    if (rows.length < 2) {
+        throw new Error('parseGaitCSV: expected a header row and samples');
+    }
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const phaseColumn = header.findIndex(cell => /cycle|phase|percent|%/.test(cell));
+    if (phaseColumn < 0) {
+        throw new Error('parseGaitCSV: no gait cycle column (cycle, phase, percent or %)');
+    }
+
+    const columns = {};
+    GAIT_FIT_JOINTS.forEach(joint => {
+        const index = header.findIndex((cell, i) => i !== phaseColumn && cell.includes(joint));
+        if (index >= 0) columns[joint] = index;
+    });
+    if (Object.keys(columns).length === 0) {
+        throw new Error('parseGaitCSV: no hip, knee or ankle column');
+    }
+
+    const samples = rows.slice(1).map((row, r) => row.map((cell, c) => {
+        const value = parseFloat(cell);
+        if (isNaN(value)) {
+            throw new Error(`parseGaitCSV: row ${r + 2}, column ${c + 1} is not a number`);
+        }
+        return value;
+    }));
+    const scale = Math.max(...samples.map(row => row[phaseColumn])) > 1 ? 0.01 : 1;
+
+    const data = {};
+    Object.keys(columns).forEach(joint => {
+        data[joint] = samples.map(row => ({ phase: row[phaseColumn] * scale, angle: row[columns[joint]] }));
+    });
+    return data;
+}
+
+/**
+ * Loads and parses a gait table
+ * @param {string} url - CSV file
+ * @returns {Promise<Object>} - See parseGaitCSV
+ */
+function loadGaitCSV(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load gait data "${url}" (${response.status})`);
+        }
+        return response.text();
+    }).then(parseGaitCSV);
+}
+
+/**
+ * Solves a small dense linear system in place (Gaussian elimination with
+ * partial pivoting)
+ * @param {Array<Array<number>>} A - Square matrix
+ * @param {Array<number>} b - Right-hand side
+ * @returns {Array<number>} - Solution
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) {
+            throw new Error('solveLinearSystem: singular matrix');
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+/**
+ * Least-squares periodic Hermite spline through phase/value samples
+ * @param {Array} samples - [{ phase, value }] with phase 0 to 1 (1 wraps to 0)
+ * @param {number} segments - Number of evenly spaced segments
+ * @param {number} smoothing - Ridge weight on the slopes, keeps sparse data stable
+ * @returns {Array} - Hermite keys [{ x, y, slope }] from x = 0 to x = 1
+ */
+function fitPeriodicHermite(samples, segments, smoothing = 1e-6) {
+    if (samples.length < 2 * segments) {
+        throw new Error(`fitPeriodicHermite: ${samples.length} samples are too few for ${segments} segments`);
+    }
+
+    // Unknowns: value and slope at each key; key `segments` is key 0 again
+    const h = 1 / segments;
+    const n = 2 * segments;
+    const AtA = Array.from({ length: n }, () => new Array(n).fill(0));
+    const Atb = new Array(n).fill(0);
+
+    samples.forEach(sample => {
+        const phase = ((sample.phase % 1) + 1) % 1;
+        const k = Math.min(segments - 1, Math.floor(phase / h));
+        const u = (phase - k * h) / h;
+        const next = (k + 1) % segments;
+
+        // Cubic Hermite basis: value and slope at both ends of the segment
+        const row = new Array(n).fill(0);
+        row[2 * k] += 2 * u * u * u - 3 * u * u + 1;
+        row[2 * k + 1] += (u * u * u - 2 * u * u + u) * h;
+        row[2 * next] += -2 * u * u * u + 3 * u * u;
+        row[2 * next + 1] += (u * u * u - u * u) * h;
+
+        for (let i = 0; i < n; i++) {
+            if (row[i] === 0) continue;
+            Atb[i] += row[i] * sample.value;
+            for (let j = 0; j < n; j++) AtA[i][j] += row[i] * row[j];
+        }
+    });
+    for (let k = 0; k < segments; k++) AtA[2 * k + 1][2 * k + 1] += smoothing;
+
+    const solution = solveLinearSystem(AtA, Atb);
+    const keys = [];
+    for (let k = 0; k <= segments; k++) {
+        const i = k % segments;
+        keys.push({ x: k * h, y: solution[2 * i], slope: solution[2 * i + 1] });
+    }
+    return keys;
+}
+
+/**
+ * Fits engine curves and amplitudes to reference gait data
+ * @param {Object} data - { hip, knee, ankle }: arrays of { phase, angle } (see parseGaitCSV)
+ * @param {Object} options - { segments: keys per curve (default 8),
+ *                             signs: { hip: -1, knee: 1, ankle: 1 } clinical to engine,
+ *                             phaseOffset: added to every sample phase (default 0) }
+ * @returns {Object} - { curves, amplitude (degrees), bias (degrees),
+ *                       error: { joint: { rms, max } } in degrees }
+ */
+function fitGaitCurves(data, options = {}) {
+    const segments = options.segments || 8;
+    const signs = Object.assign({ hip: -1, knee: 1, ankle: 1 }, options.signs);
+    const phaseOffset = options.phaseOffset || 0;
+
+    const result = { curves: {}, amplitude: {}, bias: {}, error: {} };
+    GAIT_FIT_JOINTS.forEach(joint => {
+        if (!data[joint]) return;
+        const samples = data[joint].map(sample => ({
+            phase: sample.phase + phaseOffset,
+            value: sample.angle * signs[joint]
+        }));
+        const keys = fitPeriodicHermite(samples, segments);
+
+        // Normalise like the engine's curves: the hip spans ±0.5 around a held
+        // angle, knee and ankle are scaled so the largest excursion is 1
+        const values = [];
+        for (let i = 0; i <= 200; i++) values.push(evalGaitCurve(hermiteGaitCurve(keys), i / 200));
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const bias = joint === 'hip' ? (min + max) / 2 : 0;
+        const amplitude = joint === 'hip' ? (max - min) : Math.max(Math.abs(min), Math.abs(max));
+        const scale = amplitude > 0 ? 1 / amplitude : 0;
+        const curve = hermiteGaitCurve(keys.map(key => ({
+            x: key.x, y: (key.y - bias) * scale, slope: key.slope * scale
+        })));
+
+        // Fit error in degrees against the original samples
+        let sumSquares = 0;
+        let worst = 0;
+        samples.forEach(sample => {
+            const phase = ((sample.phase % 1) + 1) % 1;
+            const fitted = evalGaitCurve(curve, phase) * amplitude + bias;
+            const error = Math.abs(fitted - sample.value);
+            sumSquares += error * error;
+            worst = Math.max(worst, error);
+        });
+
+        result.curves[joint] = curve;
+        result.amplitude[joint] = amplitude;
+        result.bias[joint] = bias;
+        result.error[joint] = { rms: Math.sqrt(sumSquares / samples.length), max: worst };
+    });
+    return result;
+}
+
+/**
+ * Turns a fit into a gait style relative to an engine's reference
+ * amplitudes, ready for engine.setStyle
+ * @param {Object} fit - Result of fitGaitCurves
+ * @param {LowerLegEngine} engine - Engine whose amplitudes the style scales (default gaitEngine)
+ * @returns {Object} - Partial style { curves, amplitude, bias }
+ */
+function gaitStyleFromFit(fit, engine = gaitEngine) {
+    const reference = { hip: engine.hipAmp, knee: engine.kneeAmp, ankle: engine.ankleAmp };
+    const style = { curves: {}, amplitude: {}, bias: {} };
+    Object.keys(fit.curves).forEach(joint => {
+        style.curves[joint] = fit.curves[joint];
+        style.amplitude[joint] = fit.amplitude[joint] / reference[joint];
+        style.bias[joint] = fit.bias[joint];
+    });
+    return style;
+}
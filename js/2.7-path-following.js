@@ -0,0 +1,230 @@
+// ==========================================
+// PATH FOLLOWING ON THE GROUND
+// ==========================================
+
+/*
+ * A GroundPath is a curve on the ground plane (y is ignored) built from a
+ * list of points: a polyline, a Catmull-Rom spline through the points, or a
+ * chain of cubic Bézier segments. Distances along it are arc lengths.
+ *
+ * A PathFollower turns the robot's position and heading into a speed and a
+ * target heading for the gait engine: it aims at a point a little further
+ * along the path, slows down where the path curves tightly and brakes to a
+ * stop at the end. Feet stay planted because the gait engine produces the
+ * root motion as usual (see walkSettings.heading).
+ */
+
+/**
+ * Curve on the ground plane
+ */
+class GroundPath {
+    /**
+     * @param {Array} points - [x, z] pairs or THREE.Vector3 (y ignored)
+     * @param {Object} options - { type: 'linear' | 'catmullrom' (default, centripetal) | 'bezier' }
+     *   'bezier' reads the points as p0, c0, c1, p1, c0, c1, p2, ... (3n + 1 points)
+     */
+    constructor(points, options = {}) {
+        const vectors = points.map(point => (Array.isArray(point)
+            ? new THREE.Vector3(point[0], 0, point[1])
+            : new THREE.Vector3(point.x, 0, point.z)));
+        this.type = options.type || 'catmullrom';
+
+        if (vectors.length < 2) {
+            throw new Error('GroundPath: needs at least two points');
+        }
+
+        if (this.type === 'catmullrom') {
+            this.curve = new THREE.CatmullRomCurve3(vectors, false, 'centripetal');
+        } else if (this.type === 'linear' || this.type === 'bezier') {
+            this.curve = new THREE.CurvePath();
+            if (this.type === 'linear') {
+                for (let i = 1; i < vectors.length; i++) {
+                    this.curve.add(new THREE.LineCurve3(vectors[i - 1], vectors[i]));
+                }
+            } else {
+                if ((vectors.length - 1) % 3 !== 0) {
+                    throw new Error(`GroundPath: a Bézier path needs 3n + 1 points, got ${vectors.length}`);
+                }
+                for (let i = 0; i + 3 < vectors.length; i += 3) {
+                    this.curve.add(new THREE.CubicBezierCurve3(vectors[i], vectors[i + 1], vectors[i + 2], vectors[i + 3]));
+                }
+            }
+        } else {
+            throw new Error(`GroundPath: unknown path type "${this.type}"`);
+        }
+
+        this.curve.arcLengthDivisions = Math.max(200, vectors.length * 50);
+        this.length = this.curve.getLength();
+
+        // Distances are divided by the length, so a path that goes nowhere has no points
+        if (!(this.length > 1e-6)) {
+            throw new Error('GroundPath: the path has zero length (all points are the same)');
+        }
+    }
+
+    /**
+     * Point at a distance along the path (clamped to its ends)
+     * @returns {THREE.Vector3}
+     */
+    getPoint(distance) {
+        return this.curve.getPointAt(Math.min(1, Math.max(0, distance / this.length)));
+    }
+
+    /**
+     * Unit direction of travel at a distance along the path
+     * @returns {THREE.Vector3}
+     */
+    getTangent(distance) {
+        return this.curve.getTangentAt(Math.min(1, Math.max(0, distance / this.length))).setY(0).normalize();
+    }
+
+    /**
+     * Curvature (1 / turn radius) at a distance along the path
+     */
+    getCurvature(distance, step = 0.05) {
+        const a = Math.max(0, Math.min(this.length - step, distance - step / 2));
+        const ta = this.getTangent(a);
+        const tb = this.getTangent(a + step);
+        return Math.acos(Math.min(1, ta.dot(tb))) / step;
+    }
+
+    /**
+     * Distance along the path of the point closest to a position, searched
+     * between two distances
+     */
+    getClosestDistance(position, from = 0, to = this.length, step = 0.05) {
+        let best = from;
+        let bestDistance = Infinity;
+        for (let d = Math.max(0, from); d <= Math.min(this.length, to) + 1e-9; d += step) {
+            const point = this.getPoint(d);
+            const dist = Math.hypot(point.x - position.x, point.z - position.z);
+            if (dist < bestDistance) {
+                bestDistance = dist;
+                best = d;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * Steers a walking robot along a GroundPath
+ */
+class PathFollower {
+    /**
+     * @param {GroundPath} path - Path to follow
+     * @param {Object} options - { speed: cruise speed (units/s, default 0.685),
+     *   lookAhead: distance of the aim point (0.8), maxLateralAcceleration: slows
+     *   down in tight turns (0.5 units/s²), deceleration: braking towards the end
+     *   (0.6 units/s²), minSpeed: slowest speed before stopping (0.3),
+     *   arriveDistance: distance from the end that counts as arrived (0.1), or
+     *   the gait clock's stop-step distance if that is longer }
+     */
+    constructor(path, options = {}) {
+        this.path = path;
+        this.speed = options.speed !== undefined ? options.speed : 0.685;
+        this.lookAhead = options.lookAhead !== undefined ? options.lookAhead : 0.8;
+        this.maxLateralAcceleration = options.maxLateralAcceleration !== undefined ? options.maxLateralAcceleration : 0.5;
+        this.deceleration = options.deceleration !== undefined ? options.deceleration : 0.6;
+        this.minSpeed = options.minSpeed !== undefined ? options.minSpeed : 0.3;
+        this.arriveDistance = options.arriveDistance !== undefined ? options.arriveDistance : 0.1;
+        this.onArrive = options.onArrive || null;
+        this.reset();
+    }
+
+    /**
+     * Starts again from the beginning of the path
+     */
+    reset() {
+        this.distance = 0;
+        this.arrived = false;
+    }
+
+    /**
+     * Speed and heading that keep the robot on the path
+     * @param {THREE.Vector3} position - Robot position on the ground (robot.base.position)
+     * @param {LowerLegEngine} engine - Gait engine whose turn-rate limit bounds the speed in turns
+     * @param {GaitClock} clock - Clock of the walking gait; its stop steps set the arrival distance
+     * @returns {Object} - { speed, heading (radians, as robot.base.rotation.y), distance, remaining, arrived }
+     */
+    update(position, engine = gaitEngine, clock = null) {
+        const path = this.path;
+
+        // Progress only moves forward, searching a little behind and ahead
+        const closest = path.getClosestDistance(position, this.distance - 0.5, this.distance + this.lookAhead * 2);
+        this.distance = Math.max(this.distance, closest);
+
+        // Near the end, what is left is the straight distance to the end point
+        const end = path.getPoint(path.length);
+        const nearEnd = this.distance >= path.length - this.lookAhead;
+        const remaining = nearEnd
+            ? Math.max(path.length - this.distance, Math.hypot(end.x - position.x, end.z - position.z))
+            : path.length - this.distance;
+
+        // Aim point: further along the path, or past the end along its last tangent
+        const aimDistance = this.distance + this.lookAhead;
+        const aim = path.getPoint(aimDistance);
+        if (aimDistance > path.length) {
+            aim.addScaledVector(path.getTangent(path.length), aimDistance - path.length);
+        }
+        const heading = Math.atan2(aim.x - position.x, aim.z - position.z);
+
+        // Slow down for the tightest curve within braking range
+        let curvature = 0;
+        for (let d = this.distance; d <= Math.min(path.length, this.distance + this.lookAhead * 2); d += 0.1) {
+            curvature = Math.max(curvature, path.getCurvature(d));
+        }
+        let speed = this.speed;
+        if (curvature > 1e-6) {
+            speed = Math.min(speed,
+                Math.sqrt(this.maxLateralAcceleration / curvature),
+                0.8 * engine.maxTurnRate / curvature);
+        }
+        speed = Math.max(Math.min(this.minSpeed, this.speed), speed);
+
+        // Brake to a stop at the end
+        speed = Math.min(speed, Math.sqrt(2 * this.deceleration * remaining));
+
+        // Arrive early enough for the stop steps to end on the end point
+        const stopDistance = Math.max(this.arriveDistance, clock ? clock.getStopDistance() : 0);
+        if (!this.arrived && nearEnd && remaining <= stopDistance) {
+            this.arrived = true;
+            if (this.onArrive) this.onArrive(this);
+        }
+        if (this.arrived) speed = 0;
+
+        return { speed: speed, heading: heading, distance: this.distance, remaining: remaining, arrived: this.arrived };
+    }
+}
+
+/**
+ * Draws a path as a line just above the ground plane
+ * @param {GroundPath} path - Path to draw
+ * @param {Object} options - { color (default 0x4fc3f7), samples (default: 10 per unit) }
+ * @returns {THREE.Line} - The line, already added to the scene
+ */
+function drawGroundPath(path, options = {}) {
+    const samples = options.samples || Math.max(2, Math.ceil(path.length * 10));
+    const height = ground.position.y + 0.01;
+    const points = [];
+    for (let i = 0; i <= samples; i++) {
+        points.push(path.getPoint(path.length * i / samples).setY(height));
+    }
+
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: options.color !== undefined ? options.color : 0x4fc3f7 })
+    );
+    line.name = 'groundPath';
+    scene.add(line);
+    return line;
+}
+
+/**
+ * Removes a line created by drawGroundPath
+ */
+function removeGroundPath(line) {
+    scene.remove(line);
+    line.geometry.dispose();
+    line.material.dispose();
+}
@@ -1,67 +1,280 @@
+// ==========================================
+// ANIMATION REGISTRY
+// ==========================================
+
+// Registered animations by name, in registration order
+const animationRegistry = new Map();
+
+/**
+ * Registers an animation so the manager can play it by name
+ * @param {string} name - Unique display name, also used for lookup
+ * @param {Function} fn - (robot, t, state) => optional root motion { displacement, heading };
+ *                        state is omitted for the playing animation (see createState)
+ * @param {Object} options - Metadata:
+ *   duration   - seconds the animation plays in the sequence (default 4)
+ *   loop       - keep advancing t past the duration (false clamps at the end)
+ *   rootMotion - the returned root motion is accumulated into the robot's position
+ *   tags       - free-form labels, e.g. ['locomotion']
+ *   playlist   - include in the automatic sequence (default true)
+ *   transition - optional { duration, easing } crossfade used when fading in
+ *   gait       - LocomotionGenerator driving the animation; fading from another
+ *                animation with one continues its leg phase and speed
+ *   createState - () => private state passed as fn's third argument, so baking
+ *                or layering the animation leaves the playing one untouched
+ *                (default: gait.cloneSettings() when gait is set)
+ * @returns {Object} - The registry entry
+ */
+function registerAnimation(name, fn, options = {}) {
+    if (typeof fn !== 'function') {
+        throw new Error(`registerAnimation: "${name}" needs an animation function`);
+    }
+    if (animationRegistry.has(name)) {
+        throw new Error(`registerAnimation: "${name}" is already registered`);
+    }
+
+    const entry = {
+        name: name,
+        fn: fn,
+        duration: options.duration !== undefined ? options.duration : 4,
+        loop: options.loop !== undefined ? options.loop : true,
+        rootMotion: options.rootMotion || false,
+        tags: options.tags || [],
+        playlist: options.playlist !== undefined ? options.playlist : true,
+        transition: options.transition || null,
+        gait: options.gait || null,
+        createState: options.createState ||
+            (options.gait ? () => options.gait.cloneSettings() : null)
+    };
+    animationRegistry.set(name, entry);
+    return entry;
+}
+
+/**
+ * Looks up a registered animation
+ * @param {string} name - Animation name
+ * @returns {Object|undefined} - Registry entry
+ */
+function getAnimation(name) {
+    return animationRegistry.get(name);
+}
+
+/**
+ * Lists registered animations, optionally filtered by tag
+ * @param {string} tag - Optional tag to filter by
+ * @returns {Array} - Registry entries in registration order
+ */
+function listAnimations(tag) {
+    const entries = Array.from(animationRegistry.values());
+    return tag ? entries.filter(entry => entry.tags.includes(tag)) : entries;
+}
+
 // ==========================================
 // ANIMATION FUNCTIONS
 // ==========================================
 
+// Animations pose robot.root locally. Locomotion animations return their
+// root motion for the frame ({ displacement, heading }) instead of moving
+// the robot themselves; the animation manager accumulates it.
+
+/**
+ * Torso counter-rotation: the pelvis twists with the legs and the chest turns
+ * back the other way, split evenly over the waist and chest joints
+ * @param {HumanoidRobot} robot - Robot with pelvis, waist and chest joints
+ * @param {number} pelvisTwist - Pelvis yaw in radians
+ * @param {number} counter - Chest yaw relative to the world, as a fraction of -pelvisTwist
+ */
+function applyTorsoTwist(robot, pelvisTwist, counter = 0.6) {
+    const back = -pelvisTwist * (1 + counter) / 2;
+    robot.pelvis.rotation.y = pelvisTwist;
+    robot.waist.rotation.y = back;
+    robot.chest.rotation.y = back;
+}
+
+/**
+ * Poses arms, torso and head from LowerLegEngine.getUpperBodyAngles
+ * @param {HumanoidRobot} robot - Robot to pose
+ * @param {Object} upper - Upper-body angles for this frame
+ */
+function applyUpperBodyGait(robot, upper) {
+    robot.leftUpperArm.rotation.x = upper.left_arm.shoulder;
+    robot.leftLowerArm.rotation.x = upper.left_arm.elbow;
+    robot.rightUpperArm.rotation.x = upper.right_arm.shoulder;
+    robot.rightLowerArm.rotation.x = upper.right_arm.elbow;
+
+    applyTorsoTwist(robot, upper.torso.twist, upper.torso.counter);
+    robot.waist.rotation.x = upper.torso.lean;
+
+    // Head stabilization: cancel the chest's yaw and lean
+    robot.neck.rotation.y = upper.head.yaw;
+    robot.neck.rotation.x = upper.head.pitch;
+}
+
 // Animation 1: Idle - Breathing motion
 function idleAnimation(robot, t) {
+    // Chest lifts on the in-breath
     const breathe = Math.sin(t * 2) * 0.03;
-    if (robot.torso) {
-        robot.torso.position.y = 1.6 + breathe;
-    }
+    robot.chest.rotation.x = -breathe;
+
+    // Slow sway of the upper body, the chest countering the waist to keep the head level
+    const sway = Math.sin(t * 0.7) * 0.04;
+    robot.waist.rotation.z = sway;
+    robot.chest.rotation.z = -sway * 0.8;
+    robot.waist.rotation.y = Math.sin(t * 0.5) * 0.05;
+    robot.chest.rotation.y = -Math.sin(t * 0.5) * 0.04;
+
     robot.neck.rotation.x = Math.sin(t * 1.5) * 0.05;
     robot.applyConstraints();
 }
+registerAnimation('Idle', idleAnimation, { tags: ['idle'] });
 
-// Animation 2: Walk - Natural walking cycle with Bézier-based gait
-function walkAnimation(robot, t) {
-    // Get complete gait data from Bézier gait engine
-    const gaitTime = t * 0.6; // Adjust speed for natural walking pace
-    const gaitData = gaitEngine.getLowerLegAngles(gaitTime);
+/**
+ * Poses the legs from LowerLegEngine.getLowerLegAngles / getLocomotionAngles
+ * @param {HumanoidRobot} robot - Robot to pose
+ * @param {Object} legs - Leg angles for this frame
+ */
+function applyLegGait(robot, legs) {
+    robot.leftUpperLeg.rotation.x = legs.left_leg.hip;
+    robot.rightUpperLeg.rotation.x = legs.right_leg.hip;
+    robot.leftKnee.rotation.x = legs.left_leg.knee;
+    robot.rightKnee.rotation.x = legs.right_leg.knee;
+    robot.leftAnkle.rotation.x = -legs.left_leg.ankle;  // Negative for proper forward flex
+    robot.rightAnkle.rotation.x = -legs.right_leg.ankle;
 
-    // HIPS - USE BÉZIER CURVES for natural hip swing
-    robot.leftUpperLeg.rotation.x = gaitData.left_leg.hip;
-    robot.rightUpperLeg.rotation.x = gaitData.right_leg.hip;
+    // Turning and weight shift; the ankles undo the hip roll to keep the soles flat
+    if (legs.left_leg.yaw !== undefined) {
+        robot.leftUpperLeg.rotation.y = legs.left_leg.yaw;
+        robot.rightUpperLeg.rotation.y = legs.right_leg.yaw;
+        robot.leftUpperLeg.rotation.z = legs.left_leg.roll;
+        robot.rightUpperLeg.rotation.z = legs.right_leg.roll;
+        robot.leftAnkle.rotation.z = -legs.left_leg.roll;
+        robot.rightAnkle.rotation.z = -legs.right_leg.roll;
+    }
+}
+
+/**
+ * Drives the robot from a LocomotionGenerator. Walk and run are the same
+ * generator at different speeds.
+ * @param {Object} settings - { speed, turnRate, heading: steer towards this heading instead of turnRate }
+ * @returns {Object} - Root motion for the frame
+ */
+function locomotionAnimation(robot, t, generator, settings) {
+    const turnRate = settings.heading !== null && settings.heading !== undefined
+        ? generator.engine.getTurnRateToward(robot.base.rotation.y, settings.heading)
+        : settings.turnRate || 0;
+    const frame = generator.step(t, settings.speed, turnRate);
 
-    // KNEES - USE BÉZIER CURVES for natural knee bend timing
-    robot.leftKnee.rotation.x = gaitData.left_leg.knee;
-    robot.rightKnee.rotation.x = gaitData.right_leg.knee;
+    // Legs from the Bézier gait curves; arms swing against them, the torso
+    // counter-rotates and the head stays steady
+    applyLegGait(robot, frame.legs);
+    applyUpperBodyGait(robot, frame.upper);
 
-    // ANKLES - USE BÉZIER CURVES for heel-strike and toe-off motion
-    robot.leftAnkle.rotation.x = -gaitData.left_leg.ankle;  // Negative for proper forward flex
-    robot.rightAnkle.rotation.x = -gaitData.right_leg.ankle;
+    // Apply constraints before planting so the feet are where they will be drawn
+    robot.applyConstraints();
 
-    // BODY HEIGHT - Compensate for leg bending to keep feet on ground
-    // This is the key to preventing feet from sinking or flying!
-    robot.root.position.y = gaitData.bodyHeight;
+    // FOOT PLANTING - forward motion and body height come from the stance foot,
+    // so it stays fixed on the ground instead of sliding; during flight the
+    // body follows a ballistic arc and keeps its momentum
+    return generator.plant(robot, t, frame);
+}
 
-    // Forward movement - simulates ground moving backward
-    robot.root.position.z = t * 0.3;
+// Each locomotion animation keeps its own generator, so two of them can be
+// evaluated in the same frame while crossfading
+const walkGenerator = new LocomotionGenerator(gaitEngine);
+const runGenerator = new LocomotionGenerator(gaitEngine);
 
-    // Apply constraints
-    robot.applyConstraints();
+// Target ground speeds in units per second. The walk covers a slow walk
+// (~0.3) to a jog (~2); above runStartSpeed the gait gains a flight phase.
+// turnRate (rad/s, positive counterclockwise seen from above) curves the
+// path; setting heading (radians) steers towards it instead.
+const walkSettings = {
+    speed: 0.685,
+    turnRate: 0,
+    heading: null
+};
+const runSettings = {
+    speed: 2.6,
+    turnRate: 0,
+    heading: null
+};
+
+// Animation 2: Walk - Natural walking cycle with Bézier-based gait
+function walkAnimation(robot, t, generator = walkGenerator) {
+    return locomotionAnimation(robot, t, generator, walkSettings);
 }
+registerAnimation('Walk', walkAnimation, { rootMotion: true, gait: walkGenerator, tags: ['locomotion'] });
 
-// Animation 3: Run - Faster, more dynamic with forward motion
-function runAnimation(robot, t) {
-    const runSpeed = 5;
-    const step = Math.sin(t * runSpeed);
-    const step2 = Math.sin(t * runSpeed + Math.PI);
+// Animation 3: Run - The same gait sped up until both feet leave the ground between steps
+function runAnimation(robot, t, generator = runGenerator) {
+    return locomotionAnimation(robot, t, generator, runSettings);
+}
+registerAnimation('Run', runAnimation, { rootMotion: true, gait: runGenerator, tags: ['locomotion'] });
 
-    // Legs - more pronounced
-    robot.leftUpperLeg.rotation.x = step * 0.8;
-    robot.leftKnee.rotation.x = Math.max(0, -step * 1.2);
-    robot.leftAnkle.rotation.x = step * 0.5;
+// Path walk: follows pathSettings.follower (see followPath), off the sequence
+const pathGenerator = new LocomotionGenerator(gaitEngine);
+const pathSettings = {
+    follower: null,
+    line: null,     // Path drawn on the ground, if any
+    time: null,     // Last animation time, to restart the follower with the animation
+    speed: 0,
+    heading: null
+};
 
-    robot.rightUpperLeg.rotation.x = step2 * 0.8;
-    robot.rightKnee.rotation.x = Math.max(0, -step2 * 1.2);
-    robot.rightAnkle.rotation.x = step2 * 0.5;
+function pathWalkAnimation(robot, t, state = { generator: pathGenerator, settings: pathSettings }) {
+    const settings = state.settings;
+    const follower = settings.follower;
+    if (!follower) {
+        throw new Error('Path Walk: no path set, call followPath first');
+    }
+    if (settings.time === null || t < settings.time) follower.reset();
+    settings.time = t;
 
-    // Forward lean and bob with forward movement
-    robot.root.rotation.x = -0.1;
-    robot.root.position.y = Math.abs(Math.sin(t * runSpeed * 2)) * 0.12;
-    robot.root.position.z = t * 1.2;  // Fast forward running motion
+    // The follower chooses speed and heading; the gait engine keeps the feet planted
+    const command = follower.update(robot.base.position, state.generator.engine, state.generator.clock);
+    settings.speed = command.speed;
+    settings.heading = command.heading;
+    return locomotionAnimation(robot, t, state.generator, settings);
+}
+registerAnimation('Path Walk', pathWalkAnimation, {
+    rootMotion: true, gait: pathGenerator, playlist: false, tags: ['locomotion'],
+    // Own generator and a follower copy that does not fire onArrive
+    createState: () => ({
+        generator: pathGenerator.cloneSettings(),
+        settings: Object.assign({}, pathSettings, {
+            follower: pathSettings.follower && new PathFollower(pathSettings.follower.path,
+                Object.assign({}, pathSettings.follower, { onArrive: null })),
+            line: null,
+            time: null
+        })
+    })
+});
 
-    robot.applyConstraints();
+/**
+ * Walks the robot along a path, then crossfades to Idle
+ * @param {HumanoidRobot} robot - Robot to move (starts from where it stands)
+ * @param {GroundPath|Array} path - A GroundPath, or points to build one from
+ * @param {Object} options - PathFollower options, plus type (for points),
+ *                           draw: show the path on the ground, idleAtEnd (default true)
+ * @returns {PathFollower}
+ */
+function followPath(robot, path, options = {}) {
+    const groundPath = path instanceof GroundPath ? path : new GroundPath(path, options);
+    const follower = new PathFollower(groundPath, options);
+
+    if (pathSettings.line) removeGroundPath(pathSettings.line);
+    pathSettings.line = options.draw ? drawGroundPath(groundPath) : null;
+
+    if (options.idleAtEnd !== false) {
+        follower.onArrive = () => {
+            if (currentAnimation === 'Path Walk') playAnimation(robot, 'Idle');
+        };
+    }
+
+    // Long enough to cover the path at the slowest speed, so the sequence resumes if it gets stuck
+    getAnimation('Path Walk').duration = groundPath.length / Math.min(follower.minSpeed, follower.speed) + 5;
+    pathSettings.follower = follower;
+    pathSettings.time = null;
+    playAnimation(robot, 'Path Walk');
+    return follower;
 }
 
 // Animation 4: Head Turn - Look around
@@ -74,6 +287,7 @@ function waveAnimation(robot, t) {
 
     robot.applyConstraints();
 }
+registerAnimation('Head Turn', waveAnimation, { tags: ['gesture', 'head'] });
 
 // Animation 5: Jump - Simple jumping motion
 function rotateBodyAnimation(robot, t) {
@@ -95,3 +309,30 @@ function rotateBodyAnimation(robot, t) {
 
     robot.applyConstraints();
 }
+registerAnimation('Jump', rotateBodyAnimation, { tags: ['jump'] });
+
+// Animation 6: Finger Curl - Hands raised, cycling through hand poses
+const fingerCurlSequence = ['open', 'curl', 'grip', 'point', 'open'];
+
+function fingerCurlAnimation(robot, t) {
+    // Raise both forearms in front of the body so the hands are visible
+    robot.leftUpperArm.rotation.x = -1.1;
+    robot.rightUpperArm.rotation.x = -1.1;
+    robot.leftUpperArm.rotation.z = 0.2;
+    robot.rightUpperArm.rotation.z = -0.2;
+    robot.neck.rotation.x = 0.2;
+
+    // One second per pose: hold, then ease into the next one
+    const steps = fingerCurlSequence.length - 1;
+    const step = Math.min(Math.floor(t), steps - 1);
+    const blend = Math.min(1, Math.max(0, (t - step - 0.4) / 0.6));
+    const eased = blend * blend * (3 - 2 * blend);
+
+    ['left', 'right'].forEach(side => {
+        robot.setHandPose(side, fingerCurlSequence[step]);
+        robot.setHandPose(side, fingerCurlSequence[step + 1], eased);
+    });
+
+    robot.applyConstraints();
+}
+registerAnimation('Finger Curl', fingerCurlAnimation, { tags: ['gesture', 'hands'] });
@@ -0,0 +1,271 @@
+// ==========================================
+// KEYFRAME CLIPS
+// ==========================================
+
+/*
+ * Clip format (JSON):
+ *
+ * {
+ *   "name": "Wave",
+ *   "duration": 2.0,            // seconds (defaults to the last key time)
+ *   "loop": true,
+ *   "rootMotion": false,        // report root x/z travel as root motion
+ *   "tracks": {
+ *     "rightUpperArm": {
+ *       "interpolation": "cubic",   // step | linear | cubic | bezier
+ *       "keys": [
+ *         { "time": 0, "rotation": [0, 0, 0] },          // Euler XYZ radians
+ *         { "time": 1, "rotation": [0, 0, 0.7, 0.714] }  // or quaternion [x, y, z, w]
+ *       ]
+ *     }
+ *   },
+ *   "root": {
+ *     "interpolation": "linear",
+ *     "keys": [{ "time": 0, "position": [0, 0, 0], "rotation": [0, 0, 0] }]
+ *   }
+ * }
+ *
+ * Bézier keys may carry "easing": [x1, y1, x2, y2] (CSS cubic-bezier style)
+ * for the segment that starts at them; the default is ease-in-out.
+ */
+
+const CLIP_INTERPOLATIONS = ['step', 'linear', 'cubic', 'bezier'];
+const DEFAULT_BEZIER_EASING = [0.42, 0, 0.58, 1];
+
+/**
+ * Catmull-Rom spline through p1 and p2 (p0 and p3 shape the tangents)
+ */
+function catmullRom(p0, p1, p2, p3, u) {
+    const u2 = u * u;
+    const u3 = u2 * u;
+    return 0.5 * ((2 * p1) +
+                  (-p0 + p2) * u +
+                  (2 * p0 - 5 * p1 + 4 * p2 - p3) * u2 +
+                  (-p0 + 3 * p1 - 3 * p2 + p3) * u3);
+}
+
+/**
+ * A keyframe clip with per-joint rotation tracks and a root translation track
+ */
+class KeyframeClip {
+    constructor(data) {
+        this.name = data.name || 'Clip';
+        this.loop = data.loop !== undefined ? data.loop : true;
+        this.rootMotion = data.rootMotion || false;
+
+        const readRotation = key => {
+            const q = key.rotation.length === 4
+                ? new THREE.Quaternion().fromArray(key.rotation)
+                : new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(key.rotation));
+            return q.normalize().toArray();
+        };
+
+        this.tracks = {};
+        Object.keys(data.tracks || {}).forEach(joint => {
+            this.tracks[joint] = this.parseTrack(data.tracks[joint], joint, readRotation);
+        });
+
+        // Root keys may carry a position, a rotation or both
+        const rootKeys = data.root ? (data.root.keys || []) : [];
+        const positionKeys = rootKeys.filter(key => key.position);
+        const rotationKeys = rootKeys.filter(key => key.rotation);
+        this.root = positionKeys.length > 0
+            ? this.parseTrack(Object.assign({}, data.root, { keys: positionKeys }), 'root', key => key.position.slice())
+            : null;
+        this.rootRotation = rotationKeys.length > 0
+            ? this.parseTrack(Object.assign({}, data.root, { keys: rotationKeys }), 'root', readRotation)
+            : null;
+
+        // Duration defaults to the last key of any track
+        const lastKey = Object.values(this.tracks)
+            .concat([this.root, this.rootRotation].filter(track => track))
+            .reduce((max, track) => Math.max(max, track.times[track.times.length - 1]), 0);
+        this.duration = data.duration !== undefined ? data.duration : lastKey;
+        if (!(this.duration > 0)) {
+            throw new Error(`KeyframeClip "${this.name}": duration must be positive`);
+        }
+    }
+
+    parseTrack(track, label, readValue) {
+        const interpolation = track.interpolation || 'linear';
+        if (!CLIP_INTERPOLATIONS.includes(interpolation)) {
+            throw new Error(`KeyframeClip "${this.name}": unknown interpolation "${interpolation}" on ${label}`);
+        }
+        const keys = (track.keys || []).slice().sort((a, b) => a.time - b.time);
+        if (keys.length === 0) {
+            throw new Error(`KeyframeClip "${this.name}": track ${label} has no keys`);
+        }
+
+        const values = keys.map(readValue);
+
+        // Keep neighbouring quaternions in the same hemisphere so blends take the short way
+        if (values[0].length === 4) {
+            for (let i = 1; i < values.length; i++) {
+                const dot = values[i].reduce((sum, v, j) => sum + v * values[i - 1][j], 0);
+                if (dot < 0) values[i] = values[i].map(v => -v);
+            }
+        }
+
+        return {
+            interpolation: interpolation,
+            times: keys.map(key => key.time),
+            values: values,
+            easings: keys.map(key => key.easing || DEFAULT_BEZIER_EASING)
+        };
+    }
+
+    /**
+     * Samples one track at a time inside the clip
+     * @returns {Array} - Quaternion or position array
+     */
+    sampleTrack(track, time) {
+        const { times, values } = track;
+        const last = times.length - 1;
+        if (time <= times[0]) return values[0].slice();
+        if (time >= times[last]) return values[last].slice();
+
+        // Binary search for the segment [times[i], times[i + 1]) holding time
+        let i = 0;
+        let hi = last;
+        while (hi - i > 1) {
+            const mid = (i + hi) >> 1;
+            if (time >= times[mid]) i = mid;
+            else hi = mid;
+        }
+
+        const u = (time - times[i]) / (times[i + 1] - times[i]);
+        const isRotation = values[i].length === 4;
+
+        switch (track.interpolation) {
+            case 'step':
+                return values[i].slice();
+
+            case 'cubic': {
+                const p0 = values[Math.max(0, i - 1)];
+                const p3 = values[Math.min(last, i + 2)];
+                const result = values[i].map((v, j) => catmullRom(p0[j], v, values[i + 1][j], p3[j], u));
+                return isRotation ? new THREE.Quaternion().fromArray(result).normalize().toArray() : result;
+            }
+
+            case 'bezier': {
+                const e = track.easings[i];
+                return this.lerpValue(values[i], values[i + 1], cubicBezierEase(e[0], e[1], e[2], e[3], u));
+            }
+
+            default:
+                return this.lerpValue(values[i], values[i + 1], u);
+        }
+    }
+
+    lerpValue(a, b, u) {
+        if (a.length === 4) {
+            return new THREE.Quaternion().fromArray(a).slerp(new THREE.Quaternion().fromArray(b), u).toArray();
+        }
+        return a.map((v, j) => v + (b[j] - v) * u);
+    }
+
+    /**
+     * Samples the clip as a pose (see HumanoidRobot.getPose)
+     * @param {number} time - Time inside the clip (0 to duration)
+     * @returns {Object} - Pose with the clip's joints and, if present, root position
+     */
+    samplePose(time) {
+        const joints = {};
+        Object.keys(this.tracks).forEach(joint => {
+            joints[joint] = this.sampleTrack(this.tracks[joint], time);
+        });
+
+        const pose = { joints: joints };
+        if (this.root || this.rootRotation) {
+            pose.root = {};
+            if (this.root) pose.root.position = this.sampleTrack(this.root, time);
+            if (this.rootRotation) pose.root.quaternion = this.sampleTrack(this.rootRotation, time);
+        }
+        return pose;
+    }
+}
+
+/**
+ * Plays a clip on a robot, handling looping and root motion
+ */
+class ClipPlayer {
+    constructor(clip) {
+        this.clip = clip;
+        this.lastTime = null;
+        this.lastRoot = null;
+    }
+
+    /**
+     * Applies the clip at animation time t
+     * @param {HumanoidRobot} robot - Target robot
+     * @param {number} t - Animation time (seconds)
+     * @returns {Object|undefined} - Root motion { displacement } for root-motion clips
+     */
+    apply(robot, t) {
+        const clip = this.clip;
+        const local = clip.loop ? t % clip.duration : Math.min(t, clip.duration);
+        const pose = clip.samplePose(local);
+
+        let rootMotion;
+        if (clip.rootMotion && pose.root && pose.root.position) {
+            const position = pose.root.position;
+            const displacement = new THREE.Vector3();
+
+            if (this.lastTime !== null && t >= this.lastTime) {
+                displacement.fromArray(position).sub(new THREE.Vector3().fromArray(this.lastRoot));
+
+                // Add one full cycle of travel for every loop boundary crossed
+                if (clip.loop) {
+                    const cycles = Math.floor(t / clip.duration) - Math.floor(this.lastTime / clip.duration);
+                    const start = new THREE.Vector3().fromArray(clip.sampleTrack(clip.root, 0));
+                    const end = new THREE.Vector3().fromArray(clip.sampleTrack(clip.root, clip.duration));
+                    displacement.addScaledVector(end.sub(start), cycles);
+                }
+                displacement.y = 0;
+            }
+
+            this.lastTime = t;
+            this.lastRoot = position.slice();
+
+            // Travel goes to the manager; height stays on the root
+            pose.root.position = [0, position[1], 0];
+            rootMotion = { displacement: displacement };
+        }
+
+        robot.setPose(pose);
+        robot.applyConstraints();
+        return rootMotion;
+    }
+}
+
+/**
+ * Loads a clip from a JSON file
+ * @param {string} url - Path to the clip JSON
+ * @returns {Promise<KeyframeClip>}
+ */
+function loadClip(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load clip "${url}" (${response.status})`);
+        }
+        return response.json();
+    }).then(data => new KeyframeClip(data));
+}
+
+/**
+ * Registers a clip as an animation in the registry
+ * @param {KeyframeClip} clip - Clip to play
+ * @param {Object} options - Extra registerAnimation options (tags, playlist, ...)
+ * @returns {Object} - The registry entry
+ */
+function registerClip(clip, options = {}) {
+    const player = new ClipPlayer(clip);
+    return registerAnimation(clip.name, (robot, t, state = player) => state.apply(robot, t), Object.assign({
+        duration: clip.duration,
+        loop: clip.loop,
+        rootMotion: clip.rootMotion,
+        tags: ['clip'],
+        // Bakes and layers track root motion on a player of their own
+        createState: () => new ClipPlayer(clip)
+    }, options));
+}
@@ -0,0 +1,302 @@
+// ==========================================
+// BVH MOTION-CAPTURE IMPORT & RETARGETING
+// ==========================================
+
+/*
+ * BVH files are parsed into a skeleton plus per-frame channel values, then
+ * retargeted onto a HumanoidRobot as a KeyframeClip.
+ *
+ * Retargeting works on world-space bone directions, so the BVH rest pose
+ * (usually a T-pose) may differ from the robot's arms-down rest pose: each
+ * mapped robot joint copies the source bone's rotation away from its rest
+ * direction, after aligning the two rest directions.
+ *
+ * Both skeletons are assumed to be Y-up and facing +Z. The robot's left/right
+ * joints are named as seen from the front (leftHip sits at -X), so the BVH
+ * character's Left* bones drive the robot's right* joints.
+ */
+
+const DEFAULT_BVH_RETARGET_MAP = {
+    root: 'Hips',
+    bones: [
+        { source: 'LeftUpLeg', sourceChild: 'LeftLeg', target: 'rightUpperLeg', targetChild: 'rightKnee' },
+        { source: 'LeftLeg', sourceChild: 'LeftFoot', target: 'rightKnee', targetChild: 'rightAnkle' },
+        { source: 'LeftFoot', sourceChild: 'LeftToeBase', target: 'rightAnkle', targetVector: [0, 0, 1] },
+        { source: 'RightUpLeg', sourceChild: 'RightLeg', target: 'leftUpperLeg', targetChild: 'leftKnee' },
+        { source: 'RightLeg', sourceChild: 'RightFoot', target: 'leftKnee', targetChild: 'leftAnkle' },
+        { source: 'RightFoot', sourceChild: 'RightToeBase', target: 'leftAnkle', targetVector: [0, 0, 1] },
+        { source: 'LeftArm', sourceChild: 'LeftForeArm', target: 'rightUpperArm', targetChild: 'rightLowerArm' },
+        { source: 'LeftForeArm', sourceChild: 'LeftHand', target: 'rightLowerArm', targetChild: 'rightHand' },
+        { source: 'RightArm', sourceChild: 'RightForeArm', target: 'leftUpperArm', targetChild: 'leftLowerArm' },
+        { source: 'RightForeArm', sourceChild: 'RightHand', target: 'leftLowerArm', targetChild: 'leftHand' },
+        { source: 'Spine', sourceChild: 'Spine1', target: 'waist', targetChild: 'chest' },
+        { source: 'Spine1', sourceChild: 'Spine2', target: 'chest', targetChild: 'neck' },
+        { source: 'Neck', sourceChild: 'Head', target: 'neck', targetVector: [0, 1, 0] }
+    ],
+    // Leg used to scale root translation: hip → knee → ankle on both skeletons
+    legChain: {
+        source: ['LeftUpLeg', 'LeftLeg', 'LeftFoot'],
+        target: ['rightUpperLeg', 'rightKnee', 'rightAnkle']
+    },
+    // Source joints whose lowest point marks the ground
+    feet: ['LeftFoot', 'RightFoot']
+};
+
+/**
+ * Parses BVH text
+ * @param {string} text - Contents of a .bvh file
+ * @returns {Object} - { joints: [{ name, parent, offset, channels, children, endSite }],
+ *                       frameCount, frameTime, frames: [Array of channel values] }
+ */
+function parseBVH(text) {
+    const tokens = text.split(/\s+/).filter(token => token.length > 0);
+    let index = 0;
+    const next = () => {
+        if (index >= tokens.length) throw new Error('parseBVH: unexpected end of file');
+        return tokens[index++];
+    };
+    const expect = value => {
+        const token = next();
+        if (token !== value) throw new Error(`parseBVH: expected "${value}" but found "${token}"`);
+    };
+
+    const joints = [];
+
+    const parseJoint = (name, parent, endSite) => {
+        // Namespaced exports (e.g. "mixamorig:Hips") are matched without the prefix
+        const joint = {
+            name: name.replace(/^.*:/, ''),
+            parent: parent,
+            offset: [0, 0, 0],
+            channels: [],
+            children: [],
+            endSite: endSite
+        };
+        joints.push(joint);
+        if (parent) parent.children.push(joint);
+
+        expect('{');
+        for (let token = next(); token !== '}'; token = next()) {
+            if (token === 'OFFSET') {
+                joint.offset = [parseFloat(next()), parseFloat(next()), parseFloat(next())];
+            } else if (token === 'CHANNELS') {
+                const count = parseInt(next(), 10);
+                for (let i = 0; i < count; i++) joint.channels.push(next());
+            } else if (token === 'JOINT') {
+                parseJoint(next(), joint, false);
+            } else if (token === 'End') {
+                expect('Site');
+                parseJoint(joint.name + '_End', joint, true);
+            } else {
+                throw new Error(`parseBVH: unexpected token "${token}" in joint ${joint.name}`);
+            }
+        }
+    };
+
+    expect('HIERARCHY');
+    expect('ROOT');
+    parseJoint(next(), null, false);
+
+    expect('MOTION');
+    expect('Frames:');
+    const frameCount = parseInt(next(), 10);
+    expect('Frame');
+    expect('Time:');
+    const frameTime = parseFloat(next());
+
+    const channelCount = joints.reduce((sum, joint) => sum + joint.channels.length, 0);
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+        const values = new Array(channelCount);
+        for (let c = 0; c < channelCount; c++) values[c] = parseFloat(next());
+        frames.push(values);
+    }
+
+    return { joints, frameCount, frameTime, frames };
+}
+
+/**
+ * Loads and parses a BVH file
+ * @param {string} url - Path to the .bvh file
+ * @returns {Promise<Object>} - Parsed BVH (see parseBVH)
+ */
+function loadBVH(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load BVH "${url}" (${response.status})`);
+        }
+        return response.text();
+    }).then(parseBVH);
+}
+
+/**
+ * World transforms of every BVH joint for one frame
+ * @param {Object} bvh - Parsed BVH
+ * @param {Array|null} values - Frame channel values, or null for the rest pose
+ * @returns {Object} - name -> { position: THREE.Vector3, quaternion: THREE.Quaternion }
+ */
+function computeBVHTransforms(bvh, values) {
+    const transforms = {};
+    const axes = { X: new THREE.Vector3(1, 0, 0), Y: new THREE.Vector3(0, 1, 0), Z: new THREE.Vector3(0, 0, 1) };
+    const channelRotation = new THREE.Quaternion();
+    let channel = 0;
+
+    bvh.joints.forEach(joint => {
+        const position = new THREE.Vector3().fromArray(joint.offset);
+        const rotation = new THREE.Quaternion();
+
+        // Channels apply in listed order (e.g. Zrotation Xrotation Yrotation = Rz * Rx * Ry)
+        joint.channels.forEach(name => {
+            const value = values ? values[channel] : 0;
+            channel++;
+            const axis = axes[name.charAt(0).toUpperCase()];
+            if (/position$/i.test(name)) {
+                position.addScaledVector(axis, value);
+            } else {
+                rotation.multiply(channelRotation.setFromAxisAngle(axis, value * Math.PI / 180));
+            }
+        });
+
+        if (joint.parent) {
+            const parent = transforms[joint.parent.name];
+            position.applyQuaternion(parent.quaternion).add(parent.position);
+            rotation.premultiply(parent.quaternion);
+        }
+        transforms[joint.name] = { position, quaternion: rotation };
+    });
+
+    return transforms;
+}
+
+/**
+ * Retargets parsed BVH motion onto a robot
+ * @param {Object} bvh - Parsed BVH (see parseBVH)
+ * @param {HumanoidRobot} robot - Robot providing rest pose, proportions and constraints
+ * @param {Object} options - { name, map, scale, rootMotion (default true), loop }
+ * @returns {KeyframeClip} - Clip with one key per BVH frame
+ */
+function retargetBVH(bvh, robot, options = {}) {
+    const map = options.map || DEFAULT_BVH_RETARGET_MAP;
+    const byName = {};
+    bvh.joints.forEach(joint => { byName[joint.name] = joint; });
+    if (!byName[map.root]) {
+        throw new Error(`retargetBVH: BVH has no root joint "${map.root}"`);
+    }
+    if (bvh.frameCount === 0) {
+        throw new Error('retargetBVH: BVH has no frames');
+    }
+
+    // ---- Robot rest pose, relative to robot.root ----
+    const savedPose = robot.getPose();
+    robot.resetPose();
+    robot.root.updateMatrixWorld(true);
+    const rootInverse = robot.root.matrixWorld.clone().invert();
+    const targetRest = {};
+    Object.keys(robot.joints).forEach(name => {
+        const matrix = rootInverse.clone().multiply(robot.joints[name].matrixWorld);
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        matrix.decompose(position, quaternion, new THREE.Vector3());
+        targetRest[name] = { position, quaternion, local: robot.joints[name].quaternion.clone() };
+    });
+
+    // ---- Per-bone alignment between the two rest poses ----
+    const sourceRest = computeBVHTransforms(bvh, null);
+    const bones = {};
+    map.bones.forEach(bone => {
+        const source = byName[bone.source];
+        if (!source || !robot.joints[bone.target]) return;
+
+        // Source bone: to the named child, or the first child (e.g. an End Site)
+        const sourceChild = byName[bone.sourceChild] || source.children[0];
+        if (!sourceChild) return;
+        const sourceDir = sourceRest[sourceChild.name].position.clone().sub(sourceRest[source.name].position);
+
+        const targetDir = bone.targetChild
+            ? targetRest[bone.targetChild].position.clone().sub(targetRest[bone.target].position)
+            : new THREE.Vector3().fromArray(bone.targetVector).applyQuaternion(targetRest[bone.target].quaternion);
+        if (sourceDir.lengthSq() === 0 || targetDir.lengthSq() === 0) return;
+
+        const align = new THREE.Quaternion().setFromUnitVectors(targetDir.normalize(), sourceDir.normalize());
+
+        // Constant part of G_target(t) = G_source(t) * G_sourceRest^-1 * align * G_targetRest
+        bones[bone.target] = {
+            source: source.name,
+            offset: sourceRest[source.name].quaternion.clone().invert()
+                .multiply(align)
+                .multiply(targetRest[bone.target].quaternion)
+        };
+    });
+
+    // ---- Root translation scale from leg length ----
+    const chainLength = (names, positions) => names.slice(1).reduce((sum, name, i) => {
+        return sum + positions(name).distanceTo(positions(names[i]));
+    }, 0);
+    const sourceLeg = chainLength(map.legChain.source, name => sourceRest[name].position);
+    const targetLeg = chainLength(map.legChain.target, name => targetRest[name].position);
+    const scale = options.scale || (sourceLeg > 0 ? targetLeg / sourceLeg : 1);
+    const targetHipHeight = targetRest[map.legChain.target[0]].position.y -
+                            targetRest[map.legChain.target[2]].position.y;
+
+    const frames = bvh.frames.map(values => computeBVHTransforms(bvh, values));
+
+    // Ground level: lowest foot joint over the whole take
+    const feet = map.feet.filter(name => byName[name]);
+    const ground = feet.length > 0
+        ? Math.min(...frames.map(frame => Math.min(...feet.map(name => frame[name].position.y))))
+        : 0;
+    const start = frames[0][map.root].position;
+
+    // ---- Bake one key per frame ----
+    const tracks = {};
+    Object.keys(robot.joints).forEach(name => { tracks[name] = { interpolation: 'linear', keys: [] }; });
+    const rootKeys = [];
+    const sourceRootRestInverse = sourceRest[map.root].quaternion.clone().invert();
+
+    frames.forEach((frame, f) => {
+        const time = f * bvh.frameTime;
+        const hips = frame[map.root];
+
+        const rootRotation = hips.quaternion.clone().multiply(sourceRootRestInverse);
+        rootKeys.push({
+            time: time,
+            position: [
+                (hips.position.x - start.x) * scale,
+                (hips.position.y - ground) * scale - targetHipHeight,
+                (hips.position.z - start.z) * scale
+            ],
+            rotation: rootRotation.toArray()
+        });
+
+        // Walk the rig parents-first so each joint sees its (constrained) parent
+        const globals = {};
+        robot.rig.joints.forEach(def => {
+            const parentGlobal = def.parent ? globals[def.parent] : rootRotation;
+            const joint = robot.joints[def.name];
+            const bone = bones[def.name];
+
+            if (bone) {
+                const global = frame[bone.source].quaternion.clone().multiply(bone.offset);
+                joint.quaternion.copy(parentGlobal.clone().invert().multiply(global));
+            } else {
+                joint.quaternion.copy(targetRest[def.name].local);
+            }
+            robot.applyJointConstraints(def.name);
+
+            globals[def.name] = parentGlobal.clone().multiply(joint.quaternion);
+            tracks[def.name].keys.push({ time: time, rotation: joint.quaternion.toArray() });
+        });
+    });
+
+    robot.resetPose();
+    robot.setPose(savedPose);
+
+    return new KeyframeClip({
+        name: options.name || 'Motion Capture',
+        duration: Math.max(bvh.frameTime, (bvh.frameCount - 1) * bvh.frameTime),
+        loop: options.loop !== undefined ? options.loop : true,
+        rootMotion: options.rootMotion !== undefined ? options.rootMotion : true,
+        tracks: tracks,
+        root: { interpolation: 'linear', keys: rootKeys }
+    });
+}
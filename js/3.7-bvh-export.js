@@ -0,0 +1,130 @@
+// ==========================================
+// BVH EXPORT
+// ==========================================
+
+/*
+ * Bakes any registered animation (procedural or clip) and writes it as BVH.
+ *
+ * The hierarchy mirrors the robot: a ROOT joint for robot.root carrying the
+ * accumulated root motion, then one JOINT per rig joint with the rig offset.
+ * Leaf joints end in an End Site placed at their farthest segment so bones
+ * have a visible length in DCC tools. Rotations are written as
+ * Zrotation Xrotation Yrotation in degrees and include the rig's rest rotations.
+ */
+
+const BVH_ROTATION_CHANNELS = ['Zrotation', 'Xrotation', 'Yrotation'];
+
+function formatBVHNumbers(values) {
+    return values.map(value => (Math.abs(value) < 1e-9 ? 0 : value).toFixed(6)).join(' ');
+}
+
+/**
+ * Writes baked frames (see bakeAnimation) as BVH text
+ * @param {HumanoidRobot} robot - Robot whose rig provides the hierarchy
+ * @param {Object} baked - Result of bakeAnimation
+ * @param {Object} options - { scale: multiplier for offsets and positions (default 1) }
+ * @returns {string} - BVH file contents
+ */
+function writeBVH(robot, baked, options = {}) {
+    const scale = options.scale || 1;
+    const defs = robot.rig.joints || [];
+    const children = {};
+    defs.forEach(def => {
+        const parent = def.parent || null;
+        (children[parent] = children[parent] || []).push(def);
+    });
+
+    // Leaf bones point at their farthest segment
+    const endSiteOffset = def => {
+        const offsets = (def.segments || []).map(segment => new THREE.Vector3().fromArray(segment.offset || [0, 0, 0]));
+        const farthest = offsets.reduce((best, offset) => (offset.length() > best.length() ? offset : best), new THREE.Vector3());
+        return farthest.lengthSq() > 0 ? farthest.toArray() : [0, 0.1, 0];
+    };
+
+    const lines = ['HIERARCHY', 'ROOT root', '{', '\tOFFSET 0.000000 0.000000 0.000000',
+        '\tCHANNELS 6 Xposition Yposition Zposition ' + BVH_ROTATION_CHANNELS.join(' ')];
+    const order = [];
+
+    const writeJoint = (def, depth) => {
+        const indent = '\t'.repeat(depth);
+        order.push(def.name);
+        lines.push(`${indent}JOINT ${def.name}`, `${indent}{`);
+        lines.push(`${indent}\tOFFSET ${formatBVHNumbers((def.offset || [0, 0, 0]).map(v => v * scale))}`);
+        lines.push(`${indent}\tCHANNELS 3 ${BVH_ROTATION_CHANNELS.join(' ')}`);
+
+        const kids = children[def.name] || [];
+        if (kids.length > 0) {
+            kids.forEach(child => writeJoint(child, depth + 1));
+        } else {
+            lines.push(`${indent}\tEnd Site`, `${indent}\t{`);
+            lines.push(`${indent}\t\tOFFSET ${formatBVHNumbers(endSiteOffset(def).map(v => v * scale))}`);
+            lines.push(`${indent}\t}`);
+        }
+        lines.push(`${indent}}`);
+    };
+    (children[null] || []).forEach(def => writeJoint(def, 1));
+    lines.push('}');
+
+    lines.push('MOTION', `Frames: ${baked.frames.length}`, `Frame Time: ${baked.frameTime.toFixed(6)}`);
+
+    const toDegrees = quaternion => {
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'ZXY');
+        return [euler.z, euler.x, euler.y].map(THREE.MathUtils.radToDeg);
+    };
+    const base = new THREE.Matrix4();
+    const local = new THREE.Matrix4();
+    const unit = new THREE.Vector3(1, 1, 1);
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+
+    baked.frames.forEach(frame => {
+        // Root channels hold robot.base * robot.root
+        base.compose(position.fromArray(frame.base.position), quaternion.fromArray(frame.base.quaternion), unit);
+        local.compose(position.fromArray(frame.pose.root.position), quaternion.fromArray(frame.pose.root.quaternion), unit);
+        base.multiply(local).decompose(position, quaternion, new THREE.Vector3());
+
+        const values = position.toArray().map(v => v * scale).concat(toDegrees(quaternion));
+        order.forEach(name => {
+            values.push(...toDegrees(quaternion.fromArray(frame.pose.joints[name])));
+        });
+        lines.push(formatBVHNumbers(values));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Bakes a registered animation and returns it as BVH text
+ * @param {HumanoidRobot} robot - Robot to evaluate the animation on
+ * @param {string} name - Registered animation name
+ * @param {Object} options - { fps, duration, scale }
+ * @returns {string} - BVH file contents
+ */
+function exportBVH(robot, name, options = {}) {
+    return writeBVH(robot, bakeAnimation(robot, name, options), options);
+}
+
+/**
+ * Saves text or binary data as a file download in the browser
+ * @param {string} filename - Suggested file name
+ * @param {string|ArrayBuffer} data - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, data, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([data], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Bakes an animation and downloads it as "<name>.bvh"
+ */
+function downloadBVH(robot, name, options = {}) {
+    const filename = (options.filename || name.replace(/\s+/g, '_')) + '.bvh';
+    downloadFile(filename, exportBVH(robot, name, options), 'application/octet-stream');
+}
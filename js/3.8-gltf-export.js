@@ -0,0 +1,294 @@
+// ==========================================
+// GLTF 2.0 EXPORT
+// ==========================================
+
+/*
+ * Writes a HumanoidRobot as glTF 2.0: one node per joint group and segment
+ * mesh (robot.root is the scene's root node), one mesh per segment geometry
+ * and PBR metallic-roughness materials shared between segments with the same
+ * parameters.
+ *
+ * Selected animations are baked with bakeAnimation and stored as linear
+ * rotation channels on every joint node, plus translation/rotation channels
+ * on the root node carrying the accumulated root motion.
+ *
+ * Output is either a .gltf JSON document with the buffer embedded as a data
+ * URI, or a binary .glb container.
+ */
+
+const GLTF_COMPONENT = { UNSIGNED_SHORT: 5123, UNSIGNED_INT: 5125, FLOAT: 5126 };
+const GLTF_TARGET = { ARRAY_BUFFER: 34962, ELEMENT_ARRAY_BUFFER: 34963 };
+
+/**
+ * Accumulates binary data, buffer views and accessors for one glTF buffer
+ */
+class GLTFBufferBuilder {
+    constructor(json) {
+        this.json = json;
+        this.chunks = [];
+        this.byteLength = 0;
+    }
+
+    /**
+     * Appends a typed array as a buffer view (4-byte aligned)
+     * @returns {number} - Buffer view index
+     */
+    addBufferView(array, target) {
+        const padding = (4 - (this.byteLength % 4)) % 4;
+        if (padding > 0) {
+            this.chunks.push(new Uint8Array(padding));
+            this.byteLength += padding;
+        }
+
+        const view = { buffer: 0, byteOffset: this.byteLength, byteLength: array.byteLength };
+        if (target) view.target = target;
+        this.chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        this.byteLength += array.byteLength;
+
+        this.json.bufferViews.push(view);
+        return this.json.bufferViews.length - 1;
+    }
+
+    /**
+     * Appends an accessor over a new buffer view
+     * @param {TypedArray} array - Float32Array, Uint16Array or Uint32Array
+     * @param {string} type - 'SCALAR' | 'VEC2' | 'VEC3' | 'VEC4'
+     * @param {Object} options - { target, minMax: include min/max bounds }
+     * @returns {number} - Accessor index
+     */
+    addAccessor(array, type, options = {}) {
+        const size = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[type];
+        const componentType = array instanceof Float32Array ? GLTF_COMPONENT.FLOAT
+            : array instanceof Uint32Array ? GLTF_COMPONENT.UNSIGNED_INT
+            : GLTF_COMPONENT.UNSIGNED_SHORT;
+
+        const accessor = {
+            bufferView: this.addBufferView(array, options.target),
+            componentType: componentType,
+            count: array.length / size,
+            type: type
+        };
+
+        if (options.minMax) {
+            accessor.min = new Array(size).fill(Infinity);
+            accessor.max = new Array(size).fill(-Infinity);
+            for (let i = 0; i < array.length; i++) {
+                const c = i % size;
+                accessor.min[c] = Math.min(accessor.min[c], array[i]);
+                accessor.max[c] = Math.max(accessor.max[c], array[i]);
+            }
+        }
+
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    /**
+     * Concatenates everything written so far
+     * @returns {Uint8Array}
+     */
+    toBytes() {
+        const bytes = new Uint8Array(this.byteLength);
+        let offset = 0;
+        this.chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return bytes;
+    }
+}
+
+/**
+ * Builds the glTF document for a robot
+ * @param {HumanoidRobot} robot - Robot to export (its current pose is written as the rest state)
+ * @param {Object} options - { animations: [names], fps (default 30) }
+ * @returns {Object} - { json, bytes: Uint8Array holding buffer 0 }
+ */
+function buildGLTF(robot, options = {}) {
+    const json = {
+        asset: { version: '2.0', generator: 'HumanoidRobot glTF exporter' },
+        scene: 0,
+        scenes: [{ name: robot.rig.name || 'Robot', nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+    const builder = new GLTFBufferBuilder(json);
+    const nodeIndex = new Map();
+    const materialIndex = new Map();
+
+    const addMaterial = material => {
+        // glTF colour factors are linear; the page's material colours are sRGB
+        const color = material.color.clone().convertSRGBToLinear().toArray();
+        const key = [color.join(','), material.roughness, material.metalness, material.opacity].join('|');
+        if (!materialIndex.has(key)) {
+            const entry = {
+                pbrMetallicRoughness: {
+                    baseColorFactor: color.concat([material.opacity]),
+                    metallicFactor: material.metalness,
+                    roughnessFactor: material.roughness
+                }
+            };
+            if (material.opacity < 1) entry.alphaMode = 'BLEND';
+            json.materials.push(entry);
+            materialIndex.set(key, json.materials.length - 1);
+        }
+        return materialIndex.get(key);
+    };
+
+    const addMesh = mesh => {
+        const geometry = mesh.geometry;
+        const attributes = {};
+        const position = geometry.getAttribute('position');
+        attributes.POSITION = builder.addAccessor(new Float32Array(position.array), 'VEC3',
+            { target: GLTF_TARGET.ARRAY_BUFFER, minMax: true });
+        if (geometry.getAttribute('normal')) {
+            attributes.NORMAL = builder.addAccessor(new Float32Array(geometry.getAttribute('normal').array), 'VEC3',
+                { target: GLTF_TARGET.ARRAY_BUFFER });
+        }
+        if (geometry.getAttribute('uv')) {
+            attributes.TEXCOORD_0 = builder.addAccessor(new Float32Array(geometry.getAttribute('uv').array), 'VEC2',
+                { target: GLTF_TARGET.ARRAY_BUFFER });
+        }
+
+        const primitive = { attributes: attributes, material: addMaterial(mesh.material) };
+        if (geometry.index) {
+            const IndexArray = position.count > 65535 ? Uint32Array : Uint16Array;
+            primitive.indices = builder.addAccessor(new IndexArray(geometry.index.array), 'SCALAR',
+                { target: GLTF_TARGET.ELEMENT_ARRAY_BUFFER });
+        }
+
+        json.meshes.push({ name: mesh.name || undefined, primitives: [primitive] });
+        return json.meshes.length - 1;
+    };
+
+    // ---- Nodes: robot.root and everything below it ----
+    const addNode = object => {
+        const node = { name: object.name || (object === robot.root ? 'root' : undefined) };
+        if (object.position.lengthSq() > 0) node.translation = object.position.toArray();
+        if (object.quaternion.w !== 1) node.rotation = object.quaternion.toArray();
+        if (!object.scale.equals(new THREE.Vector3(1, 1, 1))) node.scale = object.scale.toArray();
+        if (object.isMesh) node.mesh = addMesh(object);
+
+        json.nodes.push(node);
+        const index = json.nodes.length - 1;
+        nodeIndex.set(object, index);
+
+        const children = object.children.map(addNode);
+        if (children.length > 0) node.children = children;
+        return index;
+    };
+    json.scenes[0].nodes.push(addNode(robot.root));
+
+    // ---- Animations ----
+    const names = options.animations || [];
+    if (names.length > 0) {
+        json.animations = names.map(name => {
+            const baked = bakeAnimation(robot, name, { fps: options.fps || 30 });
+            const times = new Float32Array(baked.frames.map((frame, f) => f * baked.frameTime));
+            const input = builder.addAccessor(times, 'SCALAR', { minMax: true });
+
+            const animation = { name: name, samplers: [], channels: [] };
+            const addChannel = (node, path, values, type) => {
+                animation.samplers.push({
+                    input: input,
+                    output: builder.addAccessor(new Float32Array(values), type),
+                    interpolation: 'LINEAR'
+                });
+                animation.channels.push({ sampler: animation.samplers.length - 1, target: { node: node, path: path } });
+            };
+
+            // Root node carries robot.base * robot.root
+            const base = new THREE.Matrix4();
+            const local = new THREE.Matrix4();
+            const unit = new THREE.Vector3(1, 1, 1);
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            const rootTranslation = [];
+            const rootRotation = [];
+            baked.frames.forEach(frame => {
+                base.compose(position.fromArray(frame.base.position), quaternion.fromArray(frame.base.quaternion), unit);
+                local.compose(position.fromArray(frame.pose.root.position), quaternion.fromArray(frame.pose.root.quaternion), unit);
+                base.multiply(local).decompose(position, quaternion, new THREE.Vector3());
+                rootTranslation.push(...position.toArray());
+                rootRotation.push(...quaternion.toArray());
+            });
+            addChannel(nodeIndex.get(robot.root), 'translation', rootTranslation, 'VEC3');
+            addChannel(nodeIndex.get(robot.root), 'rotation', rootRotation, 'VEC4');
+
+            Object.keys(robot.joints).forEach(joint => {
+                const values = [];
+                baked.frames.forEach(frame => values.push(...frame.pose.joints[joint]));
+                addChannel(nodeIndex.get(robot.joints[joint]), 'rotation', values, 'VEC4');
+            });
+
+            return animation;
+        });
+    }
+
+    const bytes = builder.toBytes();
+    json.buffers.push({ byteLength: bytes.byteLength });
+    return { json: json, bytes: bytes };
+}
+
+/**
+ * Exports a robot as glTF 2.0
+ * @param {HumanoidRobot} robot - Robot to export
+ * @param {Object} options - { binary: write .glb (default false), animations: [names], fps }
+ * @returns {Object|ArrayBuffer} - glTF JSON with an embedded buffer, or a GLB ArrayBuffer
+ */
+function exportGLTF(robot, options = {}) {
+    const { json, bytes } = buildGLTF(robot, options);
+
+    if (!options.binary) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        json.buffers[0].uri = 'data:application/octet-stream;base64,' + btoa(binary);
+        return json;
+    }
+
+    // GLB: 12-byte header, JSON chunk padded with spaces, BIN chunk padded with zeros
+    const pad = length => (length + 3) & ~3;
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = pad(jsonBytes.byteLength);
+    const binLength = pad(bytes.byteLength);
+    const total = 12 + 8 + jsonLength + 8 + binLength;
+
+    const glb = new ArrayBuffer(total);
+    const view = new DataView(glb);
+    const out = new Uint8Array(glb);
+    view.setUint32(0, 0x46546C67, true);   // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true);  // 'JSON'
+    out.fill(0x20, 20, 20 + jsonLength);
+    out.set(jsonBytes, 20);
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, 0x004E4942, true);  // 'BIN\0'
+    out.set(bytes, binStart + 8);
+
+    return glb;
+}
+
+/**
+ * Exports a robot and downloads it as "<rig name>.gltf" or ".glb"
+ */
+function downloadGLTF(robot, options = {}) {
+    const binary = !!options.binary;
+    const filename = (options.filename || (robot.rig.name || 'robot').replace(/\s+/g, '_')) + (binary ? '.glb' : '.gltf');
+    const result = exportGLTF(robot, options);
+    if (binary) {
+        downloadFile(filename, result, 'model/gltf-binary');
+    } else {
+        downloadFile(filename, JSON.stringify(result), 'model/gltf+json');
+    }
+}
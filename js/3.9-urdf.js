@@ -0,0 +1,383 @@
+// ==========================================
+// URDF EXPORT & IMPORT
+// ==========================================
+
+/*
+ * URDF describes a robot as links connected by single-axis joints.
+ *
+ * Export: every rig joint becomes a link named after it. A rig joint with
+ * constrained axes becomes a chain of revolute joints, one per axis in Euler
+ * XYZ order ("<name>_x", "<name>_y", "<name>_z"), through empty intermediate
+ * links ("<name>_x_link", ...); limits come from robot.jointConstraints. Rig
+ * joints without constraints are fixed. The rig's rest rotation goes into the
+ * joint origin, so limits are written relative to it. Segments become visual
+ * shapes (cylinders, spheres and boxes; ellipsoids and elliptical cylinders
+ * use their mean radius) plus bounding collision shapes.
+ *
+ * Import: a URDF is turned into a rig definition for new HumanoidRobot(rig).
+ * Chains of revolute joints through empty links are merged back into one rig
+ * joint when their axes follow X, Y, Z order. Only axis-aligned fixed,
+ * revolute and continuous joints are supported; mesh visuals are skipped.
+ * Link and visual names that clash with robot properties (e.g. a link named
+ * "base") get a "_link" suffix, since every part is exposed on the robot.
+ */
+
+const URDF_AXES = ['x', 'y', 'z'];
+
+// Colour of visuals without one, both ways
+const URDF_DEFAULT_COLOR = 0xffffff;
+
+// URDF cylinders run along Z, the rig's along Y
+const URDF_CYLINDER_TO_RIG = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+
+function formatURDFNumbers(values) {
+    return values.map(value => String(Math.abs(value) < 1e-9 ? 0 : parseFloat(value.toFixed(6)))).join(' ');
+}
+
+function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Euler XYZ rotation <-> URDF roll/pitch/yaw (fixed-axis X, Y, Z)
+function eulerToRPY(rotation) {
+    const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(rotation || [0, 0, 0]));
+    const rpy = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX');
+    return [rpy.x, rpy.y, rpy.z];
+}
+
+function rpyToQuaternion(rpy) {
+    return new THREE.Quaternion().setFromEuler(new THREE.Euler(rpy[0], rpy[1], rpy[2], 'ZYX'));
+}
+
+/**
+ * Writes a robot as URDF
+ * @param {HumanoidRobot} robot - Robot to export
+ * @param {Object} options - { effort, velocity: limit attributes for revolute joints }
+ * @returns {string} - URDF XML
+ */
+function exportURDF(robot, options = {}) {
+    const rig = robot.rig;
+    const effort = options.effort !== undefined ? options.effort : 100;
+    const velocity = options.velocity !== undefined ? options.velocity : 5;
+    const presets = rig.materials || {};
+
+    const rgba = params => {
+        const color = new THREE.Color(params.color !== undefined ? params.color : URDF_DEFAULT_COLOR);
+        return formatURDFNumbers(color.toArray().concat([params.opacity !== undefined ? params.opacity : 1]));
+    };
+
+    const lines = ['<?xml version="1.0"?>', `<robot name="${escapeXML(rig.name || 'robot')}">`];
+    Object.keys(presets).forEach(name => {
+        lines.push(`  <material name="${escapeXML(name)}">`, `    <color rgba="${rgba(presets[name])}"/>`, '  </material>');
+    });
+    lines.push('  <link name="root"/>');
+
+    // Visual shape plus a collision shape that bounds the segment
+    const shapes = segment => {
+        const d = segment.dimensions || {};
+        switch (segment.primitive) {
+            case 'cylinder':
+                return {
+                    visual: `<cylinder radius="${formatURDFNumbers([(d.radiusTop + d.radiusBottom) / 2])}" length="${formatURDFNumbers([d.height])}"/>`,
+                    collision: `<cylinder radius="${formatURDFNumbers([Math.max(d.radiusTop, d.radiusBottom)])}" length="${formatURDFNumbers([d.height])}"/>`,
+                    alongY: true
+                };
+            case 'ellipticalCylinder':
+                return {
+                    visual: `<cylinder radius="${formatURDFNumbers([(d.radiusX + d.radiusZ) / 2])}" length="${formatURDFNumbers([d.height])}"/>`,
+                    collision: `<cylinder radius="${formatURDFNumbers([Math.max(d.radiusX, d.radiusZ)])}" length="${formatURDFNumbers([d.height])}"/>`,
+                    alongY: true
+                };
+            case 'ellipsoid':
+                return {
+                    visual: `<sphere radius="${formatURDFNumbers([(d.radiusX + d.radiusY + d.radiusZ) / 3])}"/>`,
+                    collision: `<sphere radius="${formatURDFNumbers([Math.max(d.radiusX, d.radiusY, d.radiusZ)])}"/>`
+                };
+            case 'sphere':
+                return { visual: `<sphere radius="${formatURDFNumbers([d.radius])}"/>` };
+            case 'box':
+                return { visual: `<box size="${formatURDFNumbers([d.width, d.height, d.depth])}"/>` };
+            default:
+                throw new Error(`exportURDF: unsupported primitive "${segment.primitive}"`);
+        }
+    };
+
+    const writeLink = def => {
+        lines.push(`  <link name="${escapeXML(def.name)}">`);
+        (def.segments || []).forEach((segment, i) => {
+            const shape = shapes(segment);
+            const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(segment.rotation || [0, 0, 0]));
+            if (shape.alongY) quaternion.multiply(URDF_CYLINDER_TO_RIG.clone().invert());
+            const rpy = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX');
+            const origin = `<origin xyz="${formatURDFNumbers(segment.offset || [0, 0, 0])}" rpy="${formatURDFNumbers([rpy.x, rpy.y, rpy.z])}"/>`;
+
+            const material = typeof segment.material === 'string' && presets[segment.material]
+                ? `<material name="${escapeXML(segment.material)}"/>`
+                : `<material name="${escapeXML(def.name)}_material_${i}"><color rgba="${rgba(
+                    segment.material !== null && typeof segment.material === 'object' ? segment.material : { color: segment.material }
+                )}"/></material>`;
+
+            lines.push(segment.name ? `    <visual name="${escapeXML(segment.name)}">` : '    <visual>');
+            lines.push(`      ${origin}`, `      <geometry>${shape.visual}</geometry>`, `      ${material}`, '    </visual>');
+            lines.push('    <collision>', `      ${origin}`, `      <geometry>${shape.collision || shape.visual}</geometry>`, '    </collision>');
+        });
+        lines.push('  </link>');
+    };
+
+    const writeJoint = (name, type, parent, child, originXYZ, originRPY, extra) => {
+        lines.push(`  <joint name="${escapeXML(name)}" type="${type}">`);
+        lines.push(`    <parent link="${escapeXML(parent)}"/>`, `    <child link="${escapeXML(child)}"/>`);
+        lines.push(`    <origin xyz="${formatURDFNumbers(originXYZ)}" rpy="${formatURDFNumbers(originRPY)}"/>`);
+        (extra || []).forEach(line => lines.push(`    ${line}`));
+        lines.push('  </joint>');
+    };
+
+    (rig.joints || []).forEach(def => {
+        writeLink(def);
+
+        const parent = def.parent || 'root';
+        const rest = def.rotation || [0, 0, 0];
+        const axes = URDF_AXES.filter(axis => def.constraints && robot.jointConstraints[def.constraints[axis]]);
+
+        if (axes.length === 0) {
+            writeJoint(`${def.name}_fixed`, 'fixed', parent, def.name, def.offset || [0, 0, 0], eulerToRPY(rest));
+            return;
+        }
+
+        axes.forEach((axis, i) => {
+            const index = URDF_AXES.indexOf(axis);
+            const limit = robot.jointConstraints[def.constraints[axis]];
+            const child = i === axes.length - 1 ? def.name : `${def.name}_${axis}_link`;
+            if (child !== def.name) lines.push(`  <link name="${escapeXML(child)}"/>`);
+
+            const direction = [0, 0, 0];
+            direction[index] = 1;
+            writeJoint(
+                `${def.name}_${axis}`, 'revolute',
+                i === 0 ? parent : `${def.name}_${axes[i - 1]}_link`, child,
+                i === 0 ? def.offset || [0, 0, 0] : [0, 0, 0],
+                i === 0 ? eulerToRPY(rest) : [0, 0, 0],
+                [
+                    `<axis xyz="${formatURDFNumbers(direction)}"/>`,
+                    `<limit lower="${formatURDFNumbers([limit.min - rest[index]])}" upper="${formatURDFNumbers([limit.max - rest[index]])}" ` +
+                    `effort="${formatURDFNumbers([effort])}" velocity="${formatURDFNumbers([velocity])}"/>`
+                ]
+            );
+        });
+    });
+
+    lines.push('</robot>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds a rig definition from URDF text
+ * @param {string} text - URDF XML
+ * @returns {Object} - Rig definition (see 1.8-rig-definition.js)
+ */
+function parseURDF(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const robotElement = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length > 0 || !robotElement || robotElement.tagName !== 'robot') {
+        throw new Error('parseURDF: document is not a valid URDF <robot>');
+    }
+
+    const childElements = (element, tag) => Array.from(element.childNodes).filter(node => node.nodeType === 1 && node.tagName === tag);
+    const firstChild = (element, tag) => childElements(element, tag)[0] || null;
+    const numbers = (element, attribute, fallback) => {
+        const value = element && element.getAttribute(attribute);
+        return value ? value.trim().split(/\s+/).map(parseFloat) : fallback;
+    };
+    const readColor = element => {
+        const [r, g, b, a] = numbers(element, 'rgba', [1, 1, 1, 1]);
+        const params = { color: new THREE.Color(r, g, b).getHex() };
+        if (a < 1) Object.assign(params, { transparent: true, opacity: a });
+        return params;
+    };
+
+    const rig = { name: robotElement.getAttribute('name') || 'URDF Robot', materials: {}, constraints: {}, joints: [] };
+    childElements(robotElement, 'material').forEach(element => {
+        const color = firstChild(element, 'color');
+        if (color) rig.materials[element.getAttribute('name')] = readColor(color);
+    });
+
+    const links = {};
+    childElements(robotElement, 'link').forEach(element => { links[element.getAttribute('name')] = element; });
+
+    // Rig part names: link and visual names that would clash with robot properties are suffixed
+    const usedNames = new Set(Object.keys(links));
+    const partName = name => {
+        if (!HumanoidRobot.isReservedPartName(name)) return name;
+        let renamed = name + '_link';
+        for (let i = 2; usedNames.has(renamed) || HumanoidRobot.isReservedPartName(renamed); i++) {
+            renamed = `${name}_link${i}`;
+        }
+        usedNames.add(renamed);
+        return renamed;
+    };
+    const linkNames = {};
+    Object.keys(links).forEach(name => { linkNames[name] = partName(name); });
+
+    const joints = childElements(robotElement, 'joint').map(element => {
+        const origin = firstChild(element, 'origin');
+        const limit = firstChild(element, 'limit');
+        return {
+            name: element.getAttribute('name'),
+            type: element.getAttribute('type'),
+            parent: firstChild(element, 'parent').getAttribute('link'),
+            child: firstChild(element, 'child').getAttribute('link'),
+            xyz: numbers(origin, 'xyz', [0, 0, 0]),
+            rpy: numbers(origin, 'rpy', [0, 0, 0]),
+            axis: numbers(firstChild(element, 'axis'), 'xyz', [1, 0, 0]),
+            limit: limit ? { lower: parseFloat(limit.getAttribute('lower') || 0), upper: parseFloat(limit.getAttribute('upper') || 0) } : null
+        };
+    });
+
+    const childJoints = {};
+    joints.forEach(joint => {
+        if (!['fixed', 'revolute', 'continuous'].includes(joint.type)) {
+            throw new Error(`parseURDF: joint "${joint.name}" has unsupported type "${joint.type}"`);
+        }
+        (childJoints[joint.parent] = childJoints[joint.parent] || []).push(joint);
+    });
+
+    const roots = Object.keys(links).filter(name => !joints.some(joint => joint.child === name));
+    if (roots.length !== 1) {
+        throw new Error(`parseURDF: expected one root link, found ${roots.length}`);
+    }
+
+    // Axis-aligned joint axis -> { axis: 'x' | 'y' | 'z', sign }
+    const readAxis = joint => {
+        const index = joint.axis.findIndex(value => Math.abs(value) > 1e-6);
+        if (index < 0 || joint.axis.some((value, i) => i !== index && Math.abs(value) > 1e-6)) {
+            throw new Error(`parseURDF: joint "${joint.name}" axis must be aligned with X, Y or Z`);
+        }
+        return { axis: URDF_AXES[index], index: index, sign: Math.sign(joint.axis[index]) };
+    };
+    const isZero = values => values.every(value => Math.abs(value) < 1e-9);
+
+    const readSegments = linkName => {
+        const segments = [];
+        childElements(links[linkName], 'visual').forEach(visual => {
+            const geometry = firstChild(visual, 'geometry');
+            const origin = firstChild(visual, 'origin');
+            const quaternion = rpyToQuaternion(numbers(origin, 'rpy', [0, 0, 0]));
+            const segment = { offset: numbers(origin, 'xyz', [0, 0, 0]) };
+
+            const cylinder = firstChild(geometry, 'cylinder');
+            const sphere = firstChild(geometry, 'sphere');
+            const box = firstChild(geometry, 'box');
+            if (cylinder) {
+                const radius = parseFloat(cylinder.getAttribute('radius'));
+                segment.primitive = 'cylinder';
+                segment.dimensions = { radiusTop: radius, radiusBottom: radius, height: parseFloat(cylinder.getAttribute('length')) };
+                quaternion.multiply(URDF_CYLINDER_TO_RIG);
+            } else if (sphere) {
+                segment.primitive = 'sphere';
+                segment.dimensions = { radius: parseFloat(sphere.getAttribute('radius')) };
+            } else if (box) {
+                const [width, height, depth] = numbers(box, 'size', [1, 1, 1]);
+                segment.primitive = 'box';
+                segment.dimensions = { width, height, depth };
+            } else {
+                return; // Mesh visuals need external files
+            }
+
+            const rotation = new THREE.Euler().setFromQuaternion(quaternion).toArray().slice(0, 3);
+            if (!isZero(rotation)) segment.rotation = rotation;
+
+            // Inline colour, a named material from the top level, or the default
+            const material = firstChild(visual, 'material');
+            const color = material && firstChild(material, 'color');
+            const presetName = material && material.getAttribute('name');
+            if (color) segment.material = readColor(color);
+            else if (rig.materials[presetName]) segment.material = presetName;
+            else segment.material = { color: URDF_DEFAULT_COLOR };
+            if (visual.getAttribute('name')) segment.name = partName(visual.getAttribute('name'));
+            segments.push(segment);
+        });
+        return segments;
+    };
+
+    const standardJoints = {};
+    DEFAULT_HUMANOID_RIG.joints.forEach(def => { standardJoints[def.name] = def; });
+
+    const addJoint = (link, parentLink, offset, rpy, axes) => {
+        const name = linkNames[link];
+        const rest = new THREE.Euler().setFromQuaternion(rpyToQuaternion(rpy)).toArray().slice(0, 3);
+        const def = { name: name, offset: offset };
+        if (parentLink) def.parent = linkNames[parentLink];
+        // Joints named like the standard humanoid keep its mask group and metadata (e.g. finger chains)
+        const standard = standardJoints[name];
+        if (standard && standard.bodyPart) def.bodyPart = standard.bodyPart;
+        if (standard && standard.userData) def.userData = JSON.parse(JSON.stringify(standard.userData));
+        if (!isZero(rest)) def.rotation = rest;
+
+        axes.forEach(({ axis, index, sign, limit }) => {
+            if (!limit) return; // Continuous: no constraint on this axis
+            const constraint = name + axis.toUpperCase();
+            const [lower, upper] = sign > 0 ? [limit.lower, limit.upper] : [-limit.upper, -limit.lower];
+            rig.constraints[constraint] = { min: lower + rest[index], max: upper + rest[index] };
+            def.constraints = Object.assign(def.constraints || {}, { [axis]: constraint });
+        });
+
+        def.segments = readSegments(link);
+        rig.joints.push(def);
+    };
+
+    const visit = (linkName, parentJoint) => {
+        (childJoints[linkName] || []).forEach(first => {
+            // Follow revolute chains through empty links while the axes stay in X, Y, Z order
+            const axes = [];
+            let joint = first;
+            while (true) {
+                if (joint.type !== 'fixed') axes.push(Object.assign(readAxis(joint), { limit: joint.type === 'revolute' ? joint.limit : null }));
+
+                const next = childJoints[joint.child] || [];
+                const link = links[joint.child];
+                const canMerge = axes.length > 0 && next.length === 1 && next[0].type !== 'fixed' &&
+                    childElements(link, 'visual').length === 0 &&
+                    isZero(next[0].xyz) && isZero(next[0].rpy) &&
+                    readAxis(next[0]).index > axes[axes.length - 1].index;
+                if (!canMerge) break;
+                joint = next[0];
+            }
+
+            addJoint(joint.child, parentJoint, first.xyz, first.rpy, axes);
+            visit(joint.child, joint.child);
+        });
+    };
+
+    // An empty root link stands for robot.root; otherwise it becomes a joint of its own
+    const root = roots[0];
+    if (childElements(links[root], 'visual').length > 0) {
+        addJoint(root, null, [0, 0, 0], [0, 0, 0], []);
+        visit(root, root);
+    } else {
+        visit(root, null);
+    }
+
+    return rig;
+}
+
+/**
+ * Loads a URDF file as a rig definition
+ * @param {string} url - Path to the .urdf file
+ * @returns {Promise<Object>} - Rig definition for new HumanoidRobot(rig)
+ */
+function loadURDF(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load URDF "${url}" (${response.status})`);
+        }
+        return response.text();
+    }).then(parseURDF);
+}
+
+/**
+ * Exports a robot and downloads it as "<rig name>.urdf"
+ */
+function downloadURDF(robot, options = {}) {
+    const filename = (options.filename || (robot.rig.name || 'robot').replace(/\s+/g, '_')) + '.urdf';
+    downloadFile(filename, exportURDF(robot, options), 'application/xml');
+}
@@ -0,0 +1,144 @@
+// ==========================================
+// GAIT DATA EXPORT
+// ==========================================
+
+/*
+ * Samples what the gait engine produces for a number of gait cycles and
+ * writes it as CSV or JSON for analysis outside the browser: hip, knee and
+ * ankle angles of both legs (degrees, engine convention), body height, root
+ * velocity, foot world positions and ground contact.
+ *
+ * Sampling drives its own LocomotionGenerator on the robot, starting from the
+ * origin, so the playing animation is not disturbed. The robot's pose and
+ * base are restored afterwards.
+ */
+
+const GAIT_EXPORT_LEGS = [['left', 'left_leg', 'leftFoot'], ['right', 'right_leg', 'rightFoot']];
+
+/**
+ * Samples the gait at a fixed rate
+ * @param {HumanoidRobot} robot - Robot to evaluate the gait on
+ * @param {Object} options - { speed (default walkSettings.speed), turnRate (0),
+ *                             cycles (default 2), fps: samples per second (default 60) }
+ * @returns {Object} - { speed, turnRate, cadence, cycles, fps, frames: [{ time, phase,
+ *                       left: { hip, knee, ankle }, right, bodyHeight, velocity: [x, y, z],
+ *                       feet: { left: [x, y, z], right }, contact: { left, right }, stance }] }
+ */
+function sampleGait(robot, options = {}) {
+    const speed = options.speed !== undefined ? options.speed : walkSettings.speed;
+    const turnRate = options.turnRate || 0;
+    const cycles = options.cycles || 2;
+    const fps = options.fps || 60;
+
+    const cadence = gaitEngine.getGaitParameters(speed, turnRate).cadence;
+    if (!(cadence > 0)) {
+        throw new Error(`sampleGait: speed ${speed} gives no gait cycle`);
+    }
+    const frameCount = Math.round(cycles / cadence * fps) + 1;
+    const toDegrees = THREE.MathUtils.radToDeg;
+
+    const savedPose = robot.getPose();
+    const savedPosition = robot.base.position.clone();
+    const savedQuaternion = robot.base.quaternion.clone();
+    robot.base.position.set(0, 0, 0);
+    robot.base.quaternion.identity();
+
+    // Steady gait from the first frame, without start steps
+    const generator = new LocomotionGenerator(gaitEngine);
+    generator.clock.standingStart = false;
+    generator.reset();
+    const settings = { speed: speed, turnRate: turnRate, heading: null };
+    const groundHeight = robot.getRestPosition('leftFoot').y;
+    const frames = [];
+
+    for (let f = 0; f < frameCount; f++) {
+        const t = f / fps;
+        robot.resetPose();
+        const before = robot.base.position.clone();
+        robot.applyRootMotion(locomotionAnimation(robot, t, generator, settings));
+        robot.base.updateMatrixWorld(true);
+
+        const legs = generator.frame.legs;
+        const velocity = f > 0 ? robot.base.position.clone().sub(before).multiplyScalar(fps) : new THREE.Vector3();
+
+        const frame = {
+            time: t,
+            phase: gaitEngine.getPhase(generator.frame.gait.time),
+            bodyHeight: robot.root.position.y,
+            velocity: velocity.toArray(),
+            feet: {},
+            contact: {},
+            stance: generator.planter.stance
+        };
+        GAIT_EXPORT_LEGS.forEach(([side, leg, foot]) => {
+            frame[side] = {
+                hip: toDegrees(legs[leg].hip),
+                knee: toDegrees(legs[leg].knee),
+                ankle: toDegrees(legs[leg].ankle)
+            };
+            const position = robot[foot].getWorldPosition(new THREE.Vector3());
+            frame.feet[side] = position.toArray();
+            frame.contact[side] = !legs.airborne && position.y <= groundHeight + generator.planter.contactTolerance;
+        });
+        frames.push(frame);
+    }
+
+    robot.base.position.copy(savedPosition);
+    robot.base.quaternion.copy(savedQuaternion);
+    robot.resetPose();
+    robot.setPose(savedPose);
+
+    return { speed: speed, turnRate: turnRate, cadence: cadence, cycles: cycles, fps: fps, frames: frames };
+}
+
+/**
+ * Writes sampled gait data as CSV, one row per frame
+ * @param {Object} data - Result of sampleGait
+ * @returns {string} - CSV text with a header row
+ */
+function gaitDataToCSV(data) {
+    const header = ['time', 'phase'];
+    GAIT_EXPORT_LEGS.forEach(([side]) => header.push(`${side}_hip`, `${side}_knee`, `${side}_ankle`));
+    header.push('body_height', 'velocity_x', 'velocity_y', 'velocity_z');
+    GAIT_EXPORT_LEGS.forEach(([side]) => header.push(`${side}_foot_x`, `${side}_foot_y`, `${side}_foot_z`));
+    GAIT_EXPORT_LEGS.forEach(([side]) => header.push(`${side}_contact`));
+    header.push('stance');
+
+    const format = value => (Math.abs(value) < 1e-9 ? 0 : value).toFixed(6);
+    const lines = [header.join(',')];
+    data.frames.forEach(frame => {
+        const row = [frame.time, frame.phase];
+        GAIT_EXPORT_LEGS.forEach(([side]) => row.push(frame[side].hip, frame[side].knee, frame[side].ankle));
+        row.push(frame.bodyHeight, ...frame.velocity);
+        GAIT_EXPORT_LEGS.forEach(([side]) => row.push(...frame.feet[side]));
+        const cells = row.map(format);
+        GAIT_EXPORT_LEGS.forEach(([side]) => cells.push(frame.contact[side] ? 1 : 0));
+        cells.push(frame.stance || '');
+        lines.push(cells.join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Samples the gait and returns it as CSV or JSON text
+ * @param {HumanoidRobot} robot - Robot to evaluate the gait on
+ * @param {Object} options - sampleGait options plus format: 'csv' (default) or 'json'
+ * @returns {string}
+ */
+function exportGaitData(robot, options = {}) {
+    const format = options.format || 'csv';
+    if (format !== 'csv' && format !== 'json') {
+        throw new Error(`exportGaitData: unknown format "${format}"`);
+    }
+    const data = sampleGait(robot, options);
+    return format === 'csv' ? gaitDataToCSV(data) : JSON.stringify(data);
+}
+
+/**
+ * Samples the gait and downloads it as "gait.csv" or "gait.json"
+ */
+function downloadGaitData(robot, options = {}) {
+    const format = options.format || 'csv';
+    const filename = (options.filename || 'gait') + '.' + format;
+    downloadFile(filename, exportGaitData(robot, options), format === 'csv' ? 'text/csv' : 'application/json');
+}
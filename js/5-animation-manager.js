@@ -3,42 +3,287 @@
 // ==========================================
 
 let animationTime = 0;
-let currentAnimation = 0;
-const animationDuration = 4; // seconds per animation
-const animationNames = ['Idle', 'Walk', 'Run', 'Head Turn', 'Jump'];
+let currentAnimation = null; // Name of the playing animation
 
-// Update info panel with current animation name
+// Crossfade between animations: both are evaluated during the window and
+// their joint rotations blended. Animations may override this with a
+// `transition: { duration, easing }` registry option (applies when fading in).
+const transitionSettings = {
+    duration: 0.6,      // seconds, 0 snaps straight to the next animation (after any stop steps)
+    easing: 'easeInOut'
+};
+let activeTransition = null; // { from, fromTime, time, duration, easing, stopping }
+
+// Layers played on top of the sequence, in stack order. Each layer only
+// touches the joints in its mask and either replaces them ('override') or
+// adds its rotation relative to the rest pose ('additive').
+const animationLayers = [];
+
+// Easing curves for the blend weight (0 to 1)
+const easingFunctions = {
+    linear: x => x,
+    easeIn: x => x * x,
+    easeOut: x => 1 - (1 - x) * (1 - x),
+    easeInOut: x => x * x * (3 - 2 * x),
+    easeInOutCubic: x => (x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2)
+};
+
+// Names of the animations in the automatic sequence, in registration order
+function getPlaylist() {
+    return listAnimations().filter(entry => entry.playlist).map(entry => entry.name);
+}
+
+// Update info panel with current animation name and the sequence
 function updateInfoPanel() {
     const elem = document.getElementById('current-animation');
-    if (elem) elem.textContent = animationNames[currentAnimation];
+    if (elem) elem.textContent = currentAnimation;
+
+    const sequence = document.getElementById('animation-sequence');
+    if (sequence) sequence.textContent = '▸ ' + getPlaylist().join(' → ');
+}
+
+// Configure the default crossfade
+function setTransition(duration, easing = transitionSettings.easing) {
+    if (!easingFunctions[easing]) {
+        throw new Error(`setTransition: unknown easing "${easing}"`);
+    }
+    transitionSettings.duration = duration;
+    transitionSettings.easing = easing;
+}
+
+// Switch to another animation, crossfading from the current one
+function startAnimation(robot, name) {
+    const next = getAnimation(name);
+    const settings = Object.assign({}, transitionSettings, next.transition);
+
+    // Locomotion to locomotion: keep the legs in step (walk speeding up into a run)
+    const previous = currentAnimation !== null ? getAnimation(currentAnimation) : null;
+    if (previous && previous.gait && next.gait) {
+        next.gait.syncFrom(previous.gait);
+    }
+
+    // Locomotion into anything else: stop steps bring the feet together first
+    const stopping = Boolean(previous && previous.gait && !next.gait);
+    if (stopping) previous.gait.stop();
+
+    // Stop steps need the transition to hold the outgoing gait, even for a snap
+    if (currentAnimation !== null && (settings.duration > 0 || stopping)) {
+        activeTransition = {
+            from: currentAnimation,
+            fromTime: animationTime,
+            time: 0,
+            duration: settings.duration,
+            easing: easingFunctions[settings.easing] || easingFunctions.linear,
+            stopping: stopping
+        };
+    } else {
+        activeTransition = null;
+        robot.resetPose();
+    }
+
+    currentAnimation = name;
+    animationTime = 0;
+    updateInfoPanel();
+}
+
+// Jump straight to a registered animation
+function playAnimation(robot, name) {
+    if (!getAnimation(name)) {
+        throw new Error(`playAnimation: no animation registered as "${name}"`);
+    }
+    startAnimation(robot, name);
+}
+
+// Push an animation layer, e.g. addAnimationLayer('Head Turn', { mask: ['head'] })
+function addAnimationLayer(name, options = {}) {
+    const animation = getAnimation(name);
+    if (!animation) {
+        throw new Error(`addAnimationLayer: no animation registered as "${name}"`);
+    }
+    const blend = options.blend || 'override';
+    if (blend !== 'override' && blend !== 'additive') {
+        throw new Error(`addAnimationLayer: unknown blend mode "${blend}"`);
+    }
+
+    const layer = {
+        animation: name,
+        mask: options.mask || [],
+        blend: blend,
+        weight: options.weight !== undefined ? options.weight : 1,
+        time: 0,
+        // Own gait state, so a locomotion layer does not move the base animation's clock
+        state: animation.createState ? animation.createState() : undefined
+    };
+    animationLayers.push(layer);
+    return layer;
+}
+
+function removeAnimationLayer(layer) {
+    const index = animationLayers.indexOf(layer);
+    if (index >= 0) animationLayers.splice(index, 1);
+}
+
+// Evaluate every layer and combine it with the current pose through its mask
+function applyAnimationLayers(robot, deltaTime) {
+    if (animationLayers.length === 0) return;
+
+    const pose = robot.getPose();
+    robot.resetPose();
+    const restPose = robot.getPose();
+    const current = new THREE.Quaternion();
+    const layered = new THREE.Quaternion();
+    const rest = new THREE.Quaternion();
+
+    animationLayers.forEach(layer => {
+        layer.time += deltaTime;
+
+        // Root motion from layers is ignored; they only shape joints
+        robot.resetPose();
+        evaluateAnimation(robot, getAnimation(layer.animation), layer.time, layer.state);
+        const layerPose = robot.getPose();
+
+        robot.getMaskJoints(layer.mask).forEach(name => {
+            current.fromArray(pose.joints[name]);
+            layered.fromArray(layerPose.joints[name]);
+
+            if (layer.blend === 'additive') {
+                // Delta from rest, scaled by weight, applied on top
+                rest.fromArray(restPose.joints[name]).invert();
+                layered.premultiply(rest);
+                layered.slerp(new THREE.Quaternion(), 1 - layer.weight);
+                current.multiply(layered);
+            } else {
+                current.slerp(layered, layer.weight);
+            }
+            pose.joints[name] = current.toArray();
+        });
+    });
+
+    robot.setPose(pose);
+}
+
+// Run one animation at its local time, returning the root motion it produced.
+// state (from the entry's createState) keeps a bake or layer apart from the playing animation.
+function evaluateAnimation(robot, animation, time, state) {
+    const t = animation.loop ? time : Math.min(time, animation.duration);
+    const rootMotion = animation.fn(robot, t, state);
+    return animation.rootMotion ? rootMotion : null;
+}
+
+// Weighted blend of two root-motion deltas
+function blendRootMotion(motionA, motionB, weight) {
+    const displacement = new THREE.Vector3();
+    let heading = 0;
+    [[motionA, 1 - weight], [motionB, weight]].forEach(([motion, w]) => {
+        if (!motion) return;
+        if (motion.displacement) displacement.addScaledVector(motion.displacement, w);
+        if (motion.heading) heading += motion.heading * w;
+    });
+    return { displacement, heading };
+}
+
+/**
+ * Bakes a registered animation into poses sampled at a fixed frame rate.
+ * Root motion is accumulated from the origin, so each frame also carries the
+ * base transform. The robot's pose and base are restored afterwards, and
+ * locomotion is evaluated on its own state so the playing gait is untouched.
+ * @param {HumanoidRobot} robot - Robot to evaluate the animation on
+ * @param {string} name - Registered animation name
+ * @param {Object} options - { fps (default 30), duration (default: the registry duration) }
+ * @returns {Object} - { name, fps, frameTime, frames: [{ pose, base: { position, quaternion } }] }
+ */
+function bakeAnimation(robot, name, options = {}) {
+    const animation = getAnimation(name);
+    if (!animation) {
+        throw new Error(`bakeAnimation: no animation registered as "${name}"`);
+    }
+    const fps = options.fps || 30;
+    const duration = options.duration !== undefined ? options.duration : animation.duration;
+    const frameCount = Math.max(1, Math.round(duration * fps) + 1);
+
+    const savedPose = robot.getPose();
+    const savedPosition = robot.base.position.clone();
+    const savedQuaternion = robot.base.quaternion.clone();
+    robot.base.position.set(0, 0, 0);
+    robot.base.quaternion.identity();
+
+    const state = animation.createState ? animation.createState() : undefined;
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+        robot.resetPose();
+        const rootMotion = evaluateAnimation(robot, animation, f / fps, state);
+        if (rootMotion) robot.applyRootMotion(rootMotion);
+
+        frames.push({
+            pose: robot.getPose(),
+            base: {
+                position: robot.base.position.toArray(),
+                quaternion: robot.base.quaternion.toArray()
+            }
+        });
+    }
+
+    robot.base.position.copy(savedPosition);
+    robot.base.quaternion.copy(savedQuaternion);
+    robot.resetPose();
+    robot.setPose(savedPose);
+
+    return { name: name, fps: fps, frameTime: 1 / fps, frames: frames };
 }
 
 // Main animation update function
 function updateAnimation(robot, deltaTime) {
-    animationTime += deltaTime;
-    
-    // Reset pose at start of each animation
-    if (animationTime < 0.05){
-        robot.resetPose();
-        updateInfoPanel();
+    const playlist = getPlaylist();
+    if (currentAnimation === null) {
+        if (playlist.length === 0) return;
+        startAnimation(robot, playlist[0]);
     }
 
-    const t = animationTime;
+    const animation = getAnimation(currentAnimation);
+    let rootMotion;
+
+    // The crossfade waits while outgoing locomotion takes its stop steps
+    const outgoing = activeTransition ? getAnimation(activeTransition.from) : null;
+    const stopping = activeTransition && activeTransition.stopping && !outgoing.gait.isStanding();
 
-// Execute current animation
-    switch (currentAnimation) {
-        case 0: idleAnimation(robot, t); break;
-        case 1: walkAnimation(robot, t); break;
-        case 2: runAnimation(robot, t); break;
-        case 3: waveAnimation(robot, t); break;
-        case 4: rotateBodyAnimation(robot, t); break;
-        case 5: fingerCurlAnimation(robot, t); break;
+    if (stopping) {
+        activeTransition.fromTime += deltaTime;
+        rootMotion = evaluateAnimation(robot, outgoing, activeTransition.fromTime);
+    } else if (activeTransition) {
+        // Evaluate outgoing and incoming animations from the same rest pose and blend
+        animationTime += deltaTime;
+        activeTransition.time += deltaTime;
+        activeTransition.fromTime += deltaTime;
+        const progress = activeTransition.duration > 0 ? Math.min(1, activeTransition.time / activeTransition.duration) : 1;
+        const weight = activeTransition.easing(progress);
+
+        robot.resetPose();
+        const motionFrom = evaluateAnimation(robot, getAnimation(activeTransition.from), activeTransition.fromTime);
+        const poseFrom = robot.getPose();
+
+        robot.resetPose();
+        const motionTo = evaluateAnimation(robot, animation, animationTime);
+        const poseTo = robot.getPose();
+
+        robot.setPose(HumanoidRobot.lerpPose(poseFrom, poseTo, weight));
+        rootMotion = blendRootMotion(motionFrom, motionTo, weight);
+
+        if (progress >= 1) activeTransition = null;
+    } else {
+        // Execute current animation
+        animationTime += deltaTime;
+        rootMotion = evaluateAnimation(robot, animation, animationTime);
     }
 
+    // Layers (e.g. a head turn over the walk) go on top of the sequence
+    applyAnimationLayers(robot, deltaTime);
+
+    // Accumulate root motion so the robot continues from where it stopped
+    if (rootMotion) robot.applyRootMotion(rootMotion);
+
     // Move to next animation after duration
-    if (animationTime >= animationDuration) {
-        animationTime = 0;
-        currentAnimation = (currentAnimation + 1) % 5;
-        robot.resetPose();
+    if (animationTime >= animation.duration && playlist.length > 0) {
+        const index = playlist.indexOf(currentAnimation);
+        startAnimation(robot, playlist[(index + 1) % playlist.length]);
     }
 }
@@ -5,7 +5,7 @@
 
 // Create robot instance
 const robot = new HumanoidRobot();
-scene.add(robot.root);
+scene.add(robot.base);
 
 // Make robot globally accessible for controls
 window.robot = robot;
@@ -20,13 +20,21 @@ function animate() {
     const deltaTime = clock.getDelta();
     updateAnimation(robot, deltaTime);
     
+    // Camera, ground and light follow the robot as it travels
+    const target = robot.base.position;
+    ground.position.x = target.x;
+    ground.position.z = target.z;
+    directionalLight.position.set(target.x + 5, 10, target.z + 5);
+    directionalLight.target.position.set(target.x, 0, target.z);
+    directionalLight.target.updateMatrixWorld();
+
     // Camera orbits around robot (disabled when dragging)
     if (!isDragging) {
         const cameraAngle = Date.now() * 0.0001;
-        camera.position.x = Math.sin(cameraAngle) * 5;
-        camera.position.z = Math.cos(cameraAngle) * 5;
+        camera.position.x = target.x + Math.sin(cameraAngle) * 5;
+        camera.position.z = target.z + Math.cos(cameraAngle) * 5;
     }
-    camera.lookAt(0, 1.5, 0);
+    camera.lookAt(target.x, 1.5, target.z);
     
     renderer.render(scene, camera);
 }
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts();
+
+test('baking leaves the playing gait and path follower alone', () => {
+    const result = evaluate(`(() => {
+        const robot = new HumanoidRobot();
+        scene.add(robot.base);
+        playAnimation(robot, 'Walk');
+        for (let f = 0; f < 120; f++) updateAnimation(robot, 1 / 60);
+        const walk = { cycles: walkGenerator.clock.cycles, weight: walkGenerator.clock.weight };
+        bakeAnimation(robot, 'Walk', { duration: 3 });
+        const afterWalkBake = { cycles: walkGenerator.clock.cycles, weight: walkGenerator.clock.weight };
+
+        // A path the bake runs to the end, started from the origin
+        robot.base.position.set(0, 0, 0);
+        robot.base.rotation.set(0, 0, 0);
+        const follower = followPath(robot, [[0, 0], [0, 3]]);
+        for (let f = 0; f < 60; f++) updateAnimation(robot, 1 / 60);
+        const distance = follower.distance;
+        bakeAnimation(robot, 'Path Walk', { duration: 10 });
+        robot.base.parent.remove(robot.base);
+        return {
+            walk: walk,
+            afterWalkBake: afterWalkBake,
+            distance: distance,
+            afterPathBake: follower.distance,
+            arrived: follower.arrived,
+            playing: currentAnimation
+        };
+    })()`);
+
+    assert.deepStrictEqual(result.afterWalkBake, result.walk);
+    assert.strictEqual(result.afterPathBake, result.distance);
+    assert.strictEqual(result.arrived, false);
+    assert.strictEqual(result.playing, 'Path Walk');
+});
+
+test('a locomotion layer keeps its own gait clock', () => {
+    const result = evaluate(`(() => {
+        const robot = new HumanoidRobot();
+        playAnimation(robot, 'Walk');
+        for (let f = 0; f < 120; f++) updateAnimation(robot, 1 / 60);
+        const before = walkGenerator.clock.cycles;
+
+        const layer = addAnimationLayer('Walk', { mask: ['legs'], weight: 0.5 });
+        updateAnimation(robot, 1 / 60);
+        const step = walkGenerator.clock.cycles - before;
+        const cadence = walkGenerator.frame.gait.cadence;
+        removeAnimationLayer(layer);
+        return { step: step, expected: cadence / 60, ownState: layer.state !== walkGenerator && layer.state.clock.lastTime !== null };
+    })()`);
+
+    assert.ok(Math.abs(result.step - result.expected) < 1e-9, `walk advanced ${result.step} cycles, expected ${result.expected}`);
+    assert.ok(result.ownState);
+});
+
+test('baking a root-motion clip leaves the playing clip alone', () => {
+    const result = evaluate(`(() => {
+        const robot = new HumanoidRobot();
+        registerClip(new KeyframeClip({
+            name: 'Slide',
+            duration: 2,
+            loop: true,
+            rootMotion: true,
+            tracks: {},
+            root: { interpolation: 'linear', keys: [{ time: 0, position: [0, 0, 0] }, { time: 2, position: [0, 0, 2] }] }
+        }), { playlist: false });
+        playAnimation(robot, 'Slide');
+        // Past any stop steps and crossfade from the last test's animation
+        for (let f = 0; f < 60 || activeTransition; f++) updateAnimation(robot, 1 / 60);
+
+        bakeAnimation(robot, 'Slide');
+        const before = robot.base.position.z;
+        updateAnimation(robot, 1 / 60);
+        return robot.base.position.z - before;
+    })()`);
+
+    assert.ok(Math.abs(result - 1 / 60) < 1e-6, `moved ${result} in one frame`);
+});
+
+test('leaving Walk waits for the stop steps before blending, with or without a crossfade', () => {
+    const result = evaluate(`(() => {
+        const robot = new HumanoidRobot();
+        const runs = [0.6, 0].map(duration => {
+            setTransition(duration);
+            playAnimation(robot, 'Walk');
+            for (let f = 0; f < 60 || activeTransition; f++) updateAnimation(robot, 1 / 60);
+            for (let f = 0; f < 120; f++) updateAnimation(robot, 1 / 60);
+
+            playAnimation(robot, 'Idle');
+            let stepFrames = 0, blendedEarly = false;
+            for (let f = 0; f < 600 && activeTransition; f++) {
+                updateAnimation(robot, 1 / 60);
+                if (!walkGenerator.isStanding()) stepFrames++;
+                // Idle has started blending in once its clock runs or the transition is over
+                if ((animationTime > 0 || !activeTransition) && !walkGenerator.isStanding()) blendedEarly = true;
+            }
+            return { stepFrames: stepFrames, blendedEarly: blendedEarly, done: !activeTransition, standing: walkGenerator.isStanding() };
+        });
+        setTransition(0.6);
+        return runs;
+    })()`);
+
+    result.forEach(run => {
+        assert.ok(run.stepFrames > 30, `only ${run.stepFrames} frames of stop steps`);
+        assert.strictEqual(run.blendedEarly, false);
+        assert.ok(run.done && run.standing);
+    });
+});
+
+test('the default gait state keeps the registered generator settings', () => {
+    const result = evaluate(`(() => {
+        const generator = new LocomotionGenerator(gaitEngine, 4);
+        generator.clock.standingStart = false;
+        generator.reset();
+        const entry = registerAnimation('Quick Walk', (robot, t, state = generator) =>
+            locomotionAnimation(robot, t, state, walkSettings), { gait: generator, playlist: false });
+        const state = entry.createState();
+        return {
+            fresh: state !== generator && state.clock !== generator.clock,
+            acceleration: state.clock.acceleration,
+            standingStart: state.clock.standingStart,
+            weight: state.clock.weight
+        };
+    })()`);
+
+    assert.ok(result.fresh);
+    assert.strictEqual(result.acceleration, 4);
+    assert.strictEqual(result.standingStart, false);
+    assert.strictEqual(result.weight, 1);
+});
@@ -0,0 +1,55 @@
+// Minimal DOMParser for the URDF tests: elements, attributes and child
+// nodes, which is all parseURDF reads. Browsers provide the real one.
+
+class XMLElement {
+    constructor(tagName, attributes) {
+        this.nodeType = 1;
+        this.tagName = tagName;
+        this.attributes = attributes;
+        this.childNodes = [];
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    getElementsByTagName(tagName) {
+        const found = [];
+        const visit = element => element.childNodes.forEach(child => {
+            if (child.tagName === tagName) found.push(child);
+            visit(child);
+        });
+        visit(this);
+        return found;
+    }
+}
+
+class DOMParser {
+    parseFromString(text) {
+        const unescape = value => value.replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+        const document = new XMLElement('#document', {});
+        const stack = [document];
+        const tags = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*"[^"]*")*)\s*(\/?)>/g;
+
+        let match;
+        while ((match = tags.exec(text)) !== null) {
+            const [, closing, tagName, attributeText, selfClosing] = match;
+            if (!tagName) continue; // Comment or declaration
+            if (closing) {
+                if (stack.pop().tagName !== tagName) throw new Error(`DOMParser: mismatched </${tagName}>`);
+                continue;
+            }
+            const attributes = {};
+            (attributeText || '').replace(/([\w:.-]+)\s*=\s*"([^"]*)"/g, (all, name, value) => { attributes[name] = unescape(value); });
+            const element = new XMLElement(tagName, attributes);
+            stack[stack.length - 1].childNodes.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+
+        document.documentElement = document.childNodes[0] || null;
+        return document;
+    }
+}
+
+module.exports = { DOMParser };
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts();
+
+test('the hip swings back smoothly across the cycle wrap at a run', () => {
+    const result = evaluate(`(() => {
+        const curve = gaitEngine.hipCurve;
+        const ends = [evalGaitCurve(curve, 0), evalGaitCurve(curve, 1)];
+
+        const robot = new HumanoidRobot();
+        const generator = new LocomotionGenerator(gaitEngine);
+        generator.clock.standingStart = false;
+        generator.reset();
+        const settings = { speed: 3.5, turnRate: 0, heading: null };
+        const fps = 60;
+        let last = null, largest = 0, wraps = 0, lastPhase = 0;
+        for (let frame = 0; frame <= 4 * fps; frame++) {
+            robot.resetPose();
+            locomotionAnimation(robot, frame / fps, generator, settings);
+            const phase = generator.frame.gait.time % 1;
+            if (phase < lastPhase) wraps++;
+            lastPhase = phase;
+            const hip = robot.leftUpperLeg.rotation.x;
+            if (last !== null) largest = Math.max(largest, Math.abs(hip - last));
+            last = hip;
+        }
+        return { ends: ends, largest: largest, wraps: wraps, runBlend: generator.frame.gait.runBlend, hipAmp: generator.frame.gait.hipAmp };
+    })()`);
+
+    assert.ok(Math.abs(result.ends[0] - result.ends[1]) < 1e-9);
+    assert.ok(result.wraps >= 4, `only ${result.wraps} cycles ran`);
+    assert.strictEqual(result.runBlend, 1);
+    // A jump back over the whole hipAmp span would be over 1.5 rad in one frame
+    assert.ok(result.hipAmp * Math.PI / 180 > 1.5);
+    assert.ok(result.largest < 0.25, `hip moved ${result.largest} rad in one frame`);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts();
+
+test('clinical dorsiflexion fits as a raised toe', () => {
+    const result = evaluate(`(() => {
+        // Ankle only: 12 degrees of dorsiflexion at a quarter cycle, plantarflexion at three quarters
+        const data = { ankle: [] };
+        for (let i = 0; i < 40; i++) {
+            const phase = i / 40;
+            data.ankle.push({ phase: phase, angle: 12 * Math.sin(phase * Math.PI * 2) });
+        }
+        const fit = fitGaitCurves(data);
+        const ankle = evalGaitCurve(fit.curves.ankle, 0.25) * fit.amplitude.ankle + fit.bias.ankle;
+
+        // Pose the fitted angle the way the gait does and measure the toe
+        const robot = new HumanoidRobot();
+        const toeHeight = () => {
+            robot.base.updateMatrixWorld(true);
+            return robot.leftFoot.localToWorld(new THREE.Vector3(0, -0.04, 0.17)).y;
+        };
+        const rest = toeHeight();
+        applyLegGait(robot, {
+            left_leg: { hip: 0, knee: 0, ankle: ankle * Math.PI / 180 },
+            right_leg: { hip: 0, knee: 0, ankle: 0 }
+        });
+        return { ankle: ankle, error: fit.error.ankle.max, rest: rest, raised: toeHeight() };
+    })()`);
+
+    assert.ok(Math.abs(result.ankle - 12) < 0.1, `fitted ankle ${result.ankle} should be +12 degrees`);
+    assert.ok(result.error < 0.1);
+    assert.ok(result.raised > result.rest, `toe should rise: ${result.rest} -> ${result.raised}`);
+});
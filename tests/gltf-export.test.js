@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts({ btoa: btoa });
+
+test('material colours are written as linear base colour factors', () => {
+    const result = evaluate(`(() => {
+        const robot = new HumanoidRobot();
+        let material = null;
+        robot.root.traverse(object => { if (!material && object.isMesh) material = object.material; });
+        const expected = material.color.clone().convertSRGBToLinear().toArray();
+        const gltf = exportGLTF(robot);
+        return JSON.parse(JSON.stringify({
+            srgb: material.color.toArray(),
+            expected: expected,
+            factors: gltf.materials.map(entry => entry.pbrMetallicRoughness.baseColorFactor)
+        }));
+    })()`);
+
+    const factor = result.factors.find(candidate =>
+        candidate.slice(0, 3).every((value, i) => Math.abs(value - result.expected[i]) < 1e-6));
+    assert.ok(factor, `no material has the linear colour ${result.expected}`);
+    // Mid-tone sRGB channels get darker in linear space
+    result.srgb.forEach((value, i) => {
+        if (value > 0.01 && value < 0.99) assert.ok(result.expected[i] < value);
+    });
+});
@@ -0,0 +1,40 @@
+// Loads three.min.js and the page scripts into one context, the way
+// basic.html does, with a plain scene in place of the WebGL setup.
+// Run the tests with: node --test tests/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadScripts(globals = {}) {
+    const context = {
+        ...globals,
+        console,
+        window: { innerWidth: 800, innerHeight: 600, addEventListener() {} },
+        document: { getElementById: () => null },
+        fetch: async url => ({ ok: true, text: async () => fs.readFileSync(path.join(ROOT, url), 'utf8') })
+    };
+    vm.createContext(context);
+    const run = file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+
+    run('js/three.min.js');
+    vm.runInContext(`
+        const scene = new THREE.Scene();
+        const ground = new THREE.Mesh(new THREE.PlaneGeometry(20, 20));
+        ground.position.y = 0.09;
+        scene.add(ground);
+    `, context);
+
+    // Page scripts in load order, without the renderer and the main loop
+    const html = fs.readFileSync(path.join(ROOT, 'basic.html'), 'utf8');
+    [...html.matchAll(/<script src="\.\/(js\/[^"]+)"/g)]
+        .map(match => match[1])
+        .filter(file => !/three\.min|1-scene-setup|6-main/.test(file))
+        .forEach(run);
+
+    return code => vm.runInContext(code, context);
+}
+
+module.exports = { loadScripts };
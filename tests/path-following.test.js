@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts();
+
+test('zero-length paths are rejected before they reach the robot', () => {
+    const result = evaluate(`(() => {
+        const messages = [];
+        [[[1, 2]], [[1, 2], [1, 2]], [[0, 0], [0, 0], [0, 0], [0, 0]]].forEach(points => {
+            ['linear', 'catmullrom', 'bezier'].forEach(type => {
+                if (type === 'bezier' && points.length !== 4) return;
+                try { new GroundPath(points, { type: type }); messages.push('built'); } catch (e) { messages.push(e.message); }
+            });
+        });
+
+        const robot = new HumanoidRobot();
+        robot.base.position.set(3, 0, 4);
+        let followError = null;
+        try { followPath(robot, [[1, 1], [1, 1]]); } catch (e) { followError = e.message; }
+        return { messages: messages, followError: followError, position: robot.base.position.toArray() };
+    })()`);
+
+    result.messages.forEach(message => assert.match(message, /^GroundPath: (needs at least two points|the path has zero length)/));
+    assert.match(result.followError, /zero length/);
+    assert.deepStrictEqual(Array.from(result.position), [3, 0, 4]);
+});
+
+test('the stop steps end on the last point of the path', () => {
+    const result = evaluate(`(() => {
+        const robot = new HumanoidRobot();
+        playAnimation(robot, 'Idle');
+        updateAnimation(robot, 1 / 60);
+        robot.base.position.set(0, 0, 0);
+        robot.base.rotation.set(0, 0, 0);
+
+        const follower = followPath(robot, [[0, 0], [0, 3]]);
+        let standing = false;
+        for (let frame = 0; frame < 60 * 20 && !standing; frame++) {
+            updateAnimation(robot, 1 / 60);
+            standing = currentAnimation === 'Idle' && !activeTransition;
+        }
+        return { standing: standing, arrived: follower.arrived, position: robot.base.position.toArray() };
+    })()`);
+
+    assert.ok(result.standing && result.arrived);
+    const [x, , z] = Array.from(result.position);
+    assert.ok(Math.hypot(x, z - 3) < 0.1, `stopped at ${x.toFixed(3)}, ${z.toFixed(3)}`);
+});
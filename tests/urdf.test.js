@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+const { DOMParser } = require('./dom-parser');
+
+const evaluate = loadScripts({ DOMParser });
+
+test('a link named base imports under a name that does not clash', () => {
+    const result = evaluate(`(() => {
+        const rig = parseURDF(\`<?xml version="1.0"?>
+            <robot name="arm">
+              <link name="world"/>
+              <link name="base">
+                <visual name="root"><geometry><box size="0.2 0.1 0.2"/></geometry></visual>
+              </link>
+              <link name="base_link">
+                <visual><geometry><cylinder radius="0.05" length="0.4"/></geometry></visual>
+              </link>
+              <joint name="mount" type="fixed">
+                <parent link="world"/><child link="base"/>
+              </joint>
+              <joint name="shoulder" type="revolute">
+                <parent link="base"/><child link="base_link"/>
+                <origin xyz="0 0.1 0"/><axis xyz="1 0 0"/><limit lower="-1" upper="1"/>
+              </joint>
+            </robot>\`);
+        const robot = new HumanoidRobot(rig);
+        return {
+            joints: rig.joints.map(def => [def.name, def.parent || null]),
+            constraints: Object.keys(rig.constraints),
+            baseIsGroup: robot.base === robot.root.parent,
+            link: robot.base_link2 === robot.joints.base_link2,
+            segment: Boolean(robot.root_link && robot.root_link.isMesh)
+        };
+    })()`);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(result.joints)), [['base_link2', null], ['base_link', 'base_link2']]);
+    assert.deepStrictEqual(Array.from(result.constraints), ['base_linkX']);
+    assert.ok(result.baseIsGroup, 'robot.base is still the base group');
+    assert.ok(result.link, 'the link is exposed under its new name');
+    assert.ok(result.segment, 'a visual named root is renamed too');
+});
+
+test('visuals without a usable material import in the default colour', () => {
+    const result = evaluate(`(() => {
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (...args) => warnings.push(args.join(' '));
+        try {
+            const rig = parseURDF(\`<?xml version="1.0"?>
+                <robot name="plain">
+                  <material name="red"><color rgba="1 0 0 1"/></material>
+                  <link name="world"/>
+                  <link name="body">
+                    <visual><geometry><box size="0.2 0.2 0.2"/></geometry></visual>
+                    <visual><geometry><sphere radius="0.1"/></geometry><material name="missing"/></visual>
+                    <visual><geometry><sphere radius="0.1"/></geometry><material name="red"/></visual>
+                  </link>
+                  <joint name="mount" type="fixed"><parent link="world"/><child link="body"/></joint>
+                </robot>\`);
+            const robot = new HumanoidRobot(rig);
+            const colors = [];
+            robot.joints.body.children.forEach(child => { if (child.isMesh) colors.push(child.material.color.getHex()); });
+            return { materials: JSON.stringify(rig.joints[0].segments.map(segment => segment.material)), colors: colors, warnings: warnings };
+        } finally {
+            console.warn = warn;
+        }
+    })()`);
+
+    assert.deepStrictEqual(JSON.parse(result.materials), [{ color: 0xffffff }, { color: 0xffffff }, 'red']);
+    assert.deepStrictEqual(Array.from(result.colors), [0xffffff, 0xffffff, 0xff0000]);
+    assert.deepStrictEqual(Array.from(result.warnings), []);
+});